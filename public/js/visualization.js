@@ -16,7 +16,9 @@ const inputEls = {
   loginUrl: document.getElementById('login-url'),
   maxDepth: document.getElementById('max-depth'),
   maxPages: document.getElementById('max-pages'),
-  timeout: document.getElementById('timeout')
+  timeout: document.getElementById('timeout'),
+  screenshots: document.getElementById('screenshots'),
+  groupTemplates: document.getElementById('group-templates')
 };
 
 function setStatus(message, isError = false) {
@@ -59,6 +61,15 @@ function buildRequestPayload() {
     crawlConfig.loginUrl = inputEls.loginUrl.value.trim();
   }
 
+  if (inputEls.screenshots?.checked) {
+    crawlConfig.screenshots = true;
+    crawlConfig.rendering = 'playwright';
+  }
+
+  if (inputEls.groupTemplates?.checked) {
+    crawlConfig.outputMode = 'templates';
+  }
+
   return {
     startUrl: inputEls.startUrl.value.trim(),
     credentials: Object.keys(credentials).length ? credentials : undefined,
@@ -108,7 +119,9 @@ function renderFlows(flows) {
 
     const meta = document.createElement('div');
     meta.className = 'flow-meta';
-    meta.textContent = `Score ${flow.score ?? 0} • ${flow.stepCount ?? flow.steps?.length ?? 0} steps`;
+    meta.textContent = flow.goal
+      ? `${flow.clicksToGoal} click${flow.clicksToGoal === 1 ? '' : 's'} to ${flow.goal} • cost ${flow.cost}`
+      : `Score ${flow.score ?? 0} • ${flow.stepCount ?? flow.steps?.length ?? 0} steps`;
 
     header.appendChild(title);
     header.appendChild(meta);
@@ -126,7 +139,26 @@ function renderFlows(flows) {
 
       const stepEl = document.createElement('div');
       stepEl.className = 'step';
-      stepEl.textContent = step.label || step.title || step.url;
+      const label = step.label || step.title || step.url;
+
+      if (step.screenshot?.thumbnail) {
+        stepEl.classList.add('has-preview');
+        const link = document.createElement('a');
+        link.href = step.screenshot.fullPage || step.screenshot.viewport || step.screenshot.thumbnail;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        const img = document.createElement('img');
+        img.className = 'step-thumb';
+        img.src = step.screenshot.thumbnail;
+        img.alt = `Preview of ${label}`;
+        img.loading = 'lazy';
+        link.appendChild(img);
+        stepEl.appendChild(link);
+      }
+
+      const text = document.createElement('span');
+      text.textContent = label;
+      stepEl.appendChild(text);
       stepsRow.appendChild(stepEl);
     });
 
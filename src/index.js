@@ -31,6 +31,11 @@ app.post('/api/extract-flows', async (req, res) => {
       return res.status(400).json({ error: 'startUrl is required' });
     }
 
+    // Storage state file paths are for programmatic use only
+    if (typeof credentials?.storageState === 'string') {
+      return res.status(400).json({ error: 'credentials.storageState must be an object' });
+    }
+
     console.log(`Starting flow extraction for: ${startUrl}`);
     
     const result = await crawlAndExtractFlows({
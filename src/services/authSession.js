@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { URL } = require('url');
+
+/**
+ * Authenticated session shared by the axios and Playwright fetch paths.
+ *
+ * Sources (all optional, combined):
+ * - credentials.storageState: Playwright storage state object or file path
+ * - credentials.cookies: array of cookie objects or a "a=1; b=2" header string
+ * - credentials.headers: extra request headers
+ * - credentials.bearerToken: sent as "Authorization: Bearer <token>"
+ * - credentials.apiKey (+ apiKeyHeader, default X-API-Key)
+ *
+ * Cookies are kept in Playwright's format so the same jar can seed a
+ * browser context, build Cookie headers for axios and be exported again
+ * as a storage state file. Cookies set on axios responses are queued in
+ * `browserUpdates` until syncToContext pushes them into the browser.
+ */
+async function loadAuthSession(credentials, startUrl) {
+  const session = {
+    cookies: [],
+    origins: [],
+    headers: buildAuthHeaders(credentials),
+    browserUpdates: []
+  };
+  if (!credentials) return session;
+
+  if (credentials.storageState) {
+    const state = typeof credentials.storageState === 'string'
+      ? JSON.parse(await fs.readFile(credentials.storageState, 'utf8'))
+      : credentials.storageState;
+    session.cookies.push(...(state.cookies || []));
+    session.origins.push(...(state.origins || []));
+  }
+
+  if (credentials.cookies) {
+    session.cookies.push(...parseCookieJar(credentials.cookies, startUrl));
+  }
+
+  return session;
+}
+
+function hasSessionCookies(session) {
+  return Boolean(session && session.cookies.length > 0);
+}
+
+function buildAuthHeaders(credentials) {
+  const headers = { ...(credentials?.headers || {}) };
+  if (credentials?.bearerToken) {
+    headers.Authorization = `Bearer ${credentials.bearerToken}`;
+  }
+  if (credentials?.apiKey) {
+    headers[credentials.apiKeyHeader || 'X-API-Key'] = credentials.apiKey;
+  }
+  return headers;
+}
+
+/**
+ * Builds request headers for a URL: auth headers plus matching cookies.
+ * Cookies are scoped by their own domain; with `includeAuthHeaders:
+ * false` (untrusted hosts) only they are sent.
+ */
+function getRequestHeaders(session, url, options = {}) {
+  const { includeAuthHeaders = true } = options;
+  if (!session) return {};
+  const headers = includeAuthHeaders ? { ...session.headers } : {};
+  const cookieHeader = getCookieHeader(session, url);
+  if (cookieHeader) {
+    headers.Cookie = cookieHeader;
+  }
+  return headers;
+}
+
+function getCookieHeader(session, url) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return '';
+  }
+
+  const now = Date.now() / 1000;
+  return session.cookies
+    .filter(cookie => {
+      if (cookie.expires && cookie.expires > 0 && cookie.expires < now) return false;
+      if (cookie.secure && urlObj.protocol !== 'https:') return false;
+      if (!domainMatches(urlObj.hostname, cookie.domain)) return false;
+      return pathMatches(urlObj.pathname, cookie.path || '/');
+    })
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+/**
+ * Applies Set-Cookie response headers to the session jar and queues them
+ * for the browser context. Cookies whose Domain attribute does not cover
+ * the responding host are rejected.
+ */
+function storeSetCookies(session, url, setCookieHeaders) {
+  if (!session || !setCookieHeaders) return;
+  const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+
+  headers.forEach(header => {
+    const cookie = parseSetCookie(header, url);
+    if (!cookie) return;
+
+    applyCookie(session, cookie);
+    // Only the latest value of each cookie needs to reach the browser
+    session.browserUpdates = [
+      ...(session.browserUpdates || []).filter(queued => !isSameCookie(queued, cookie)),
+      cookie
+    ];
+  });
+}
+
+/**
+ * Replaces the jar with the browser context's cookies. Cookies still
+ * queued for the browser are applied on top, so a cookie refreshed over
+ * HTTP in the meantime is not lost. After a login the browser is
+ * authoritative: `discardPending` drops the queue instead.
+ */
+async function syncFromContext(session, context, options = {}) {
+  const { discardPending = false } = options;
+  if (!session || !context) return;
+  const state = await context.storageState();
+  session.cookies = state.cookies || [];
+  session.origins = state.origins || [];
+  if (discardPending) {
+    session.browserUpdates = [];
+  }
+  (session.browserUpdates || []).forEach(cookie => applyCookie(session, cookie));
+}
+
+/**
+ * Pushes cookies set on HTTP responses since the last call into the
+ * browser context. Deleted cookies are pushed with their past expiry,
+ * which removes them from the browser as well.
+ */
+async function syncToContext(session, context) {
+  if (!session || !context || !session.browserUpdates?.length) return;
+  const updates = session.browserUpdates;
+  session.browserUpdates = [];
+  try {
+    await context.addCookies(updates.map(cookie => (cookie.expires === -1 || cookie.expires > 0
+      ? cookie
+      : { ...cookie, expires: 1 })));
+  } catch (error) {
+    session.browserUpdates = [...updates, ...session.browserUpdates];
+    throw error;
+  }
+}
+
+function applyCookie(session, cookie) {
+  session.cookies = session.cookies.filter(existing => !isSameCookie(existing, cookie));
+  // An expiry in the past is how servers delete cookies
+  if (cookie.expires === -1 || cookie.expires > Date.now() / 1000) {
+    session.cookies.push(cookie);
+  }
+}
+
+function toStorageState(session) {
+  return {
+    cookies: session?.cookies || [],
+    origins: session?.origins || []
+  };
+}
+
+/**
+ * Writes the session as a Playwright storage state file, which can be
+ * passed back in as credentials.storageState on the next crawl.
+ */
+async function saveStorageState(session, filePath) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(toStorageState(session), null, 2), 'utf8');
+}
+
+function parseCookieJar(cookies, startUrl) {
+  const hostname = new URL(startUrl).hostname;
+
+  if (typeof cookies === 'string') {
+    return cookies
+      .split(';')
+      .map(part => part.trim())
+      .filter(part => part.includes('='))
+      .map(part => {
+        const separator = part.indexOf('=');
+        return createCookie(part.slice(0, separator).trim(), part.slice(separator + 1).trim(), hostname);
+      });
+  }
+
+  return cookies
+    .filter(cookie => cookie && cookie.name)
+    .map(cookie => ({
+      ...createCookie(cookie.name, String(cookie.value ?? ''), cookie.domain || hostname),
+      ...cookie,
+      domain: cookie.domain || hostname,
+      path: cookie.path || '/'
+    }));
+}
+
+function parseSetCookie(header, url) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const urlObj = new URL(url);
+  const cookie = createCookie(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim(), urlObj.hostname);
+
+  attributes.forEach(attribute => {
+    const [rawKey, ...rest] = attribute.trim().split('=');
+    const key = rawKey.toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      cookie.domain = `.${value.replace(/^\./, '').toLowerCase()}`;
+    } else if (key === 'path' && value) {
+      cookie.path = value;
+    } else if (key === 'max-age') {
+      cookie.expires = Date.now() / 1000 + Number(value);
+    } else if (key === 'expires' && cookie.expires === -1) {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expires = time / 1000;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite' && value) {
+      cookie.sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+    }
+  });
+
+  // A host may only set cookies for itself or a parent domain (RFC 6265 5.3)
+  return domainMatches(urlObj.hostname, cookie.domain) ? cookie : null;
+}
+
+function createCookie(name, value, domain) {
+  return {
+    name,
+    value,
+    domain,
+    path: '/',
+    expires: -1,
+    httpOnly: false,
+    secure: false,
+    sameSite: 'Lax'
+  };
+}
+
+// Leading-dot domains match subdomains; others are host-only
+function domainMatches(hostname, cookieDomain) {
+  if (!cookieDomain) return false;
+  if (cookieDomain.startsWith('.')) {
+    const domain = cookieDomain.slice(1);
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+  return hostname === cookieDomain;
+}
+
+function isSameCookie(a, b) {
+  return a.name === b.name && a.domain === b.domain && a.path === b.path;
+}
+
+// RFC 6265 path-match: /app matches /app and /app/x, not /application
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+}
+
+module.exports = {
+  loadAuthSession,
+  hasSessionCookies,
+  getRequestHeaders,
+  storeSetCookies,
+  syncFromContext,
+  syncToContext,
+  toStorageState,
+  saveStorageState
+};
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const CHECKPOINT_VERSION = 2;
+// Version 1 checkpoints kept page HTML inline and still load
+const SUPPORTED_VERSIONS = [1, CHECKPOINT_VERSION];
+// crawlConfig keys that may hold secrets; resumes pass them again
+const SECRET_CONFIG_KEYS = ['credentials', 'loginRecipe'];
+
+/**
+ * Persists crawl progress so a crashed or cancelled crawl can be resumed.
+ *
+ * A checkpoint holds everything crawlWebsite keeps in memory:
+ * - visited keys
+ * - the pending frontier (including pages that were in flight)
+ * - already-fetched pages
+ * plus the startUrl and crawlConfig needed to restart the pipeline.
+ * Secret crawlConfig keys (credentials, loginRecipe) are left out.
+ *
+ * Page HTML doesn't go into the checkpoint itself: each page's HTML is
+ * appended once to `<checkpoint>.html.ndjson`, so a checkpoint stays
+ * small and is cheap to rewrite. The first write of a run rewrites that
+ * file with every page so far (including resumed ones).
+ *
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated checkpoint behind.
+ */
+function createCheckpointWriter(filePath, onLog) {
+  const htmlPath = getHtmlPath(filePath);
+  const stored = new Set();
+  let resetHtml = true;
+  let pending = Promise.resolve();
+
+  return {
+    // Snapshots are stringified synchronously, so later crawl progress
+    // never leaks into a checkpoint that is still waiting for the disk.
+    write(snapshot) {
+      const fresh = (snapshot.pages || []).filter(page => !stored.has(page.url));
+      fresh.forEach(page => stored.add(page.url));
+      const htmlLines = fresh.map(page => `${JSON.stringify({ url: page.url, html: page.html ?? null })}\n`).join('');
+      const payload = serializeCheckpoint(snapshot);
+      const reset = resetHtml;
+      resetHtml = false;
+
+      pending = pending
+        .then(() => writeHtmlFile(htmlPath, htmlLines, reset))
+        .then(() => writeCheckpointFile(filePath, payload))
+        .catch(error => {
+          // Appended again with the next checkpoint; duplicates are harmless
+          fresh.forEach(page => stored.delete(page.url));
+          resetHtml = resetHtml || reset;
+          log(onLog, `Failed to write checkpoint ${filePath}: ${error.message}`);
+        });
+      return pending;
+    },
+    flush() {
+      return pending;
+    }
+  };
+}
+
+async function loadCheckpoint(filePath) {
+  let data;
+  try {
+    data = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Checkpoint not found: ${filePath}`);
+    }
+    throw error;
+  }
+
+  const checkpoint = JSON.parse(data);
+  if (!SUPPORTED_VERSIONS.includes(checkpoint.version)) {
+    throw new Error(`Unsupported checkpoint version: ${checkpoint.version}`);
+  }
+  if (checkpoint.version === 1) {
+    return checkpoint;
+  }
+
+  const htmlByUrl = await readHtmlFile(getHtmlPath(filePath));
+  return {
+    ...checkpoint,
+    pages: (checkpoint.pages || []).map(page => ({ ...page, html: htmlByUrl.get(page.url) ?? null }))
+  };
+}
+
+function serializeCheckpoint(snapshot) {
+  return JSON.stringify({
+    version: CHECKPOINT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...snapshot,
+    ...(snapshot.crawlConfig ? { crawlConfig: stripSecrets(snapshot.crawlConfig) } : {}),
+    pages: (snapshot.pages || []).map(({ html, ...page }) => page)
+  });
+}
+
+function stripSecrets(crawlConfig) {
+  const safe = { ...crawlConfig };
+  SECRET_CONFIG_KEYS.forEach(key => delete safe[key]);
+  return safe;
+}
+
+function getHtmlPath(filePath) {
+  return `${filePath.replace(/\.json$/i, '')}.html.ndjson`;
+}
+
+// A reset replaces the file atomically, since the previous checkpoint
+// still points into it
+async function writeHtmlFile(htmlPath, lines, reset) {
+  if (reset) {
+    await writeCheckpointFile(htmlPath, lines);
+  } else if (lines) {
+    await fs.appendFile(htmlPath, lines, 'utf8');
+  }
+}
+
+// url -> html; a truncated last line (crash mid-append) is ignored
+async function readHtmlFile(htmlPath) {
+  const htmlByUrl = new Map();
+  let data;
+  try {
+    data = await fs.readFile(htmlPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return htmlByUrl;
+    throw error;
+  }
+
+  data.split('\n').forEach(line => {
+    if (!line) return;
+    try {
+      const entry = JSON.parse(line);
+      htmlByUrl.set(entry.url, entry.html);
+    } catch {
+      // Partial line from an interrupted append
+    }
+  });
+  return htmlByUrl;
+}
+
+async function writeCheckpointFile(filePath, payload) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, payload, 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+function log(onLog, message) {
+  if (typeof onLog === 'function') {
+    onLog(message);
+  } else {
+    console.log(message);
+  }
+}
+
+module.exports = {
+  createCheckpointWriter,
+  loadCheckpoint
+};
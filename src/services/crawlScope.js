@@ -0,0 +1,241 @@
+const { URL } = require('url');
+
+/**
+ * Builds the include/exclude URL filter for a crawl.
+ *
+ * Pattern forms:
+ * - '/blog/*'            glob on path + query, anchored at the start
+ * - 'https://x.com/app/*' glob on the full URL
+ * - '?sort='             query parameters by name, in any position;
+ *                        '?sort=price*' also globs the value, '&' joins
+ *                        parameters that must all be present
+ * - 'blog'               other globs match anywhere in path + query
+ * - { regex, flags }     regular expression tested against the full URL
+ *                        (the stateful 'g' and 'y' flags are ignored)
+ *
+ * In globs `*` matches any run of characters (including '/'), and a
+ * trailing `$` anchors the end, mirroring robots.txt syntax.
+ *
+ * A URL is dropped when it matches any exclude rule, or when include rules
+ * exist and it matches none of them. The report counts unique URLs:
+ * - include: { dropped, rules: [{ pattern, matched }] }, where `dropped`
+ *   is the URLs no include rule matched and `matched` the URLs each
+ *   rule let through
+ * - exclude: [{ pattern, dropped }] per rule
+ */
+function createUrlFilter(options = {}) {
+  const { includePatterns = [], excludePatterns = [] } = options;
+  const includeRules = includePatterns.map(pattern => compileRule('include', pattern));
+  const excludeRules = excludePatterns.map(pattern => compileRule('exclude', pattern));
+  const includeMisses = new Set();
+  const includeMatches = new Map(includeRules.map(rule => [rule, new Set()]));
+
+  const allows = (url) => {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const key = stripHash(urlObj);
+    const excludedBy = excludeRules.find(rule => rule.matches(urlObj));
+    if (excludedBy) {
+      excludedBy.dropped.add(key);
+      return false;
+    }
+
+    if (includeRules.length > 0) {
+      const includedBy = includeRules.find(rule => rule.matches(urlObj));
+      if (!includedBy) {
+        includeMisses.add(key);
+        return false;
+      }
+      includeMatches.get(includedBy).add(key);
+    }
+
+    return true;
+  };
+
+  const getReport = () => ({
+    include: {
+      dropped: includeMisses.size,
+      rules: includeRules.map(rule => ({ pattern: rule.label, matched: includeMatches.get(rule).size }))
+    },
+    exclude: excludeRules.map(rule => ({ pattern: rule.label, dropped: rule.dropped.size }))
+  });
+
+  return {
+    isActive: includeRules.length > 0 || excludeRules.length > 0,
+    allows,
+    getReport
+  };
+}
+
+/**
+ * Builds the host scope policy for a crawl.
+ *
+ * Policies (`domainScope`):
+ * - 'exact':  only the start URL's hostname
+ * - 'host':   the hostname plus its www / non-www alias (default)
+ * - 'domain': the registrable domain and every subdomain of it
+ *
+ * `allowedHosts` adds explicit hosts on top of the policy; entries may
+ * use a leading wildcard such as '*.example.org'.
+ */
+function createHostScope(startUrl, options = {}) {
+  const { domainScope = 'host', allowedHosts = [] } = options;
+  const startHost = new URL(startUrl).hostname.toLowerCase();
+  const bareHost = startHost.replace(/^www\./, '');
+  const registrableDomain = getRegistrableDomain(startHost);
+
+  if (!['exact', 'host', 'domain'].includes(domainScope)) {
+    throw new Error(`Invalid domainScope: ${domainScope}`);
+  }
+
+  const extraHosts = allowedHosts.map(host => String(host).toLowerCase().trim()).filter(Boolean);
+
+  const inScope = (hostname) => {
+    const host = String(hostname || '').toLowerCase();
+    if (!host) return false;
+    if (host === startHost) return true;
+
+    if (domainScope === 'host' && host.replace(/^www\./, '') === bareHost) return true;
+    if (domainScope === 'domain' && (host === registrableDomain || host.endsWith(`.${registrableDomain}`))) {
+      return true;
+    }
+
+    return extraHosts.some(entry => {
+      if (entry.startsWith('*.')) {
+        const suffix = entry.slice(2);
+        return host === suffix || host.endsWith(`.${suffix}`);
+      }
+      return host === entry;
+    });
+  };
+
+  return {
+    startHost,
+    inScope
+  };
+}
+
+/**
+ * Compiles a single pattern (same forms as include/exclude rules) into a
+ * `url => boolean` matcher.
+ */
+function compileUrlPattern(pattern) {
+  const rule = compileRule('pattern', pattern);
+  return (url) => {
+    try {
+      return rule.matches(new URL(url));
+    } catch {
+      return false;
+    }
+  };
+}
+
+// Second-level labels under which registrations happen one level deeper
+// (example.co.uk, example.com.au). Not a full public suffix list.
+const MULTI_LABEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au',
+  'co.nz', 'co.jp', 'ne.jp', 'or.jp',
+  'com.br', 'com.mx', 'com.ar', 'com.tr', 'com.cn', 'com.sg', 'com.hk',
+  'co.in', 'co.za', 'co.kr'
+]);
+
+function getRegistrableDomain(hostname) {
+  const host = hostname.toLowerCase();
+  if (/^\d+(\.\d+){3}$/.test(host) || host.includes(':') || !host.includes('.')) {
+    return host;
+  }
+
+  const labels = host.split('.');
+  const lastTwo = labels.slice(-2).join('.');
+  if (MULTI_LABEL_SUFFIXES.has(lastTwo) && labels.length >= 3) {
+    return labels.slice(-3).join('.');
+  }
+  return lastTwo;
+}
+
+function compileRule(type, pattern) {
+  if (pattern instanceof RegExp || (pattern && typeof pattern === 'object' && pattern.regex)) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern.regex;
+    const flags = pattern instanceof RegExp ? pattern.flags : pattern.flags || '';
+    // With 'g' or 'y', test() resumes at lastIndex and skips every other match
+    const regex = new RegExp(source, flags.replace(/[gy]/g, ''));
+    return {
+      type,
+      label: regex.toString(),
+      dropped: new Set(),
+      matches: urlObj => regex.test(urlObj.href)
+    };
+  }
+
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new Error(`Invalid ${type} pattern: ${JSON.stringify(pattern)}`);
+  }
+
+  if (pattern.startsWith('?')) {
+    return {
+      type,
+      label: pattern,
+      dropped: new Set(),
+      matches: compileQueryPattern(pattern.slice(1))
+    };
+  }
+
+  const isFullUrl = pattern.includes('://');
+  const isAnchored = isFullUrl || pattern.startsWith('/');
+  const regex = globToRegex(pattern, isAnchored);
+
+  return {
+    type,
+    label: pattern,
+    dropped: new Set(),
+    matches: urlObj => regex.test(isFullUrl ? urlObj.href : urlObj.pathname + urlObj.search)
+  };
+}
+
+function globToRegex(glob, anchored) {
+  const endAnchored = glob.endsWith('$');
+  const body = endAnchored ? glob.slice(0, -1) : glob;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`${anchored ? '^' : ''}${source}${endAnchored ? '$' : ''}`);
+}
+
+// 'sort=' -> has a sort parameter; 'sort=price*' -> its value matches the
+// glob; 'a=1&b=' -> both hold. Parameters match in any position.
+function compileQueryPattern(query) {
+  const conditions = query.split('&').filter(Boolean).map(part => {
+    const separator = part.indexOf('=');
+    const name = separator === -1 ? part : part.slice(0, separator);
+    const valueGlob = separator === -1 ? '' : part.slice(separator + 1);
+    const valueRegex = valueGlob ? globToRegex(`${valueGlob}$`, true) : null;
+    return { name: safeDecode(name), valueRegex };
+  });
+
+  return urlObj => conditions.every(({ name, valueRegex }) =>
+    urlObj.searchParams.getAll(name).some(value => !valueRegex || valueRegex.test(value))
+  );
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+function stripHash(urlObj) {
+  const copy = new URL(urlObj.href);
+  copy.hash = '';
+  return copy.toString();
+}
+
+module.exports = { createUrlFilter, createHostScope, compileUrlPattern };
@@ -1,16 +1,53 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const { fetchRobots, isAllowedByRobots, getCrawlDelay } = require('./robotsTxt');
+const { discoverSitemapUrls } = require('./sitemapSeeder');
+const { createCheckpointWriter } = require('./crawlCheckpoint');
+const { createHostScope, compileUrlPattern } = require('./crawlScope');
+const { createUrlNormalizer, extractCanonicalUrl, isHashRoute } = require('./urlNormalizer');
+const { classifyFreshness, hashContent } = require('./pageCache');
+const { exploreSpaNavigation } = require('./spaExplorer');
+const { collectFormSubmissions } = require('./formExplorer');
+const { getDocumentExtension, isHtmlContentType, getDocumentKind } = require('./resourceType');
+const { createBlockLocator } = require('./domBlocks');
+const { measureLinkLayout, createProminenceLookup } = require('./ctaProminence');
+const {
+  loadAuthSession,
+  hasSessionCookies,
+  getRequestHeaders,
+  storeSetCookies,
+  syncFromContext,
+  syncToContext,
+  toStorageState,
+  saveStorageState
+} = require('./authSession');
+const { runLoginRecipe } = require('./loginRecipe');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; FlowMapperBot/1.0)';
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_PAGE_BYTES = 5 * 1024 * 1024;
 
 /**
  * Crawls a website starting from a given URL
  * 
  * Strategy:
  * - BFS traversal with depth limiting
- * - Only internal links (same domain)
- * - Deduplication to prevent loops
+ * - Only in-scope links (exact host, www alias, whole domain or allowlist)
+ * - Deduplication on normalized URLs (tracking params, query order, canonical)
  * - Respects maxPages and maxDepth constraints
+ * - Honors robots.txt rules and Crawl-delay (per host)
+ * - Optional sitemap seeding for pages not reachable through links
+ * - Bounded concurrency with a per-host cap and per-host politeness delay
+ * - Periodic checkpoints to disk; resumes from a restored checkpoint
+ * - Include/exclude URL rules applied to recorded links and queued URLs
+ * - Optional page cache with conditional requests for incremental re-crawls
  * - Optional Playwright rendering for SPA / auth flows
+ * - One cookie jar / auth header set shared by axios and Playwright
+ * - Optional GET search/filter form exploration
+ * - Non-HTML resources recorded as leaf documents without downloading them
+ * - Optional screenshots of Playwright-rendered pages
+ * - Optional click exploration for client-side (SPA) navigation
  */
 async function crawlWebsite(startUrl, config, credentials) {
   const {
@@ -24,142 +61,916 @@ async function crawlWebsite(startUrl, config, credentials) {
     retryMaxMs = 5000,
     authMode = 'auto',
     loginUrl = null,
+    loginRecipe = null,
+    sessionCheck = {},
+    maxRelogins = 3,
+    crawlStats = null,
+    respectRobots = true,
+    useSitemaps = false,
+    maxSitemapUrls = 500,
+    concurrency = 4,
+    perHostConcurrency = 2,
+    checkpointPath = null,
+    checkpointEvery = 10,
+    checkpointMeta = {},
+    resumeState = null,
+    urlFilter = null,
+    domainScope = 'host',
+    allowedHosts = [],
+    trackingParams = [],
+    honorCanonical = true,
+    pageCache = null,
+    exploreSpa = false,
+    spaMaxClicks = 20,
+    exploreForms = false,
+    formSampleValues = {},
+    maxFormVariants = 5,
+    formPostAllowlist = [],
+    maxPageBytes = DEFAULT_MAX_PAGE_BYTES,
+    screenshotter = null,
+    exportSessionPath = null,
     abortSignal = null,
     onLog = null
   } = config;
   
-  const visited = new Set();
-  const pages = [];
-  const queue = [{ url: startUrl, depth: 0, referrer: null }];
+  const visited = new Set(resumeState?.visited || []);
+  const pages = resumeState?.pages || [];
+  const failures = resumeState?.failures || [];
+  const queue = resumeState?.queue || [{ url: startUrl, depth: 0, referrer: null, discovery: 'navigation' }];
   
-  const baseDomain = new URL(startUrl).hostname;
-  let browserContext = null;
-  let usingPlaywright = false;
+  const hostScope = createHostScope(startUrl, { domainScope, allowedHosts });
+  const urlNormalizer = createUrlNormalizer({ trackingParams });
+  const recordedKeys = new Set(pages.map(page => urlNormalizer.visitKey(page.url)));
+  const state = {
+    robotsCache: new Map(),
+    hostActive: new Map(),
+    hostNextFetchAt: new Map(),
+    browserContextPromise: null,
+    session: await loadAuthSession(credentials, startUrl),
+    sessionGeneration: 0,
+    reloginPromise: null,
+    relogins: 0
+  };
 
-  while (queue.length > 0 && pages.length < maxPages) {
-    const { url, depth, referrer } = queue.shift();
-    const visitKey = normalizeForVisit(url);
+  // Sitemap seeds are only consumed once link discovery runs dry, so pages
+  // reachable through navigation keep their referrer and navigation tag.
+  let sitemapQueue = resumeState?.sitemapQueue || [];
+  if (resumeState) {
+    log(onLog, `Resuming crawl: ${pages.length} pages fetched, ${queue.length + sitemapQueue.length} URLs pending`);
+  } else if (useSitemaps) {
+    sitemapQueue = await seedFromSitemaps(startUrl, {
+      hostScope,
+      maxDepth,
+      maxSitemapUrls,
+      maxPageBytes,
+      timeout,
+      robotsCache: state.robotsCache,
+      failures,
+      abortSignal,
+      onLog
+    });
+  }
 
-    if (visited.has(visitKey) || depth > maxDepth) {
-      continue;
+  const options = {
+    startUrl,
+    hostScope,
+    maxDepth,
+    timeout,
+    rendering,
+    delayMs,
+    maxRetries,
+    retryBaseMs,
+    retryMaxMs,
+    authMode,
+    loginUrl,
+    loginRecipe,
+    loginPageUrl: getLoginPageUrl(startUrl, loginUrl, loginRecipe),
+    authenticated: canLogIn(authMode, credentials, loginRecipe)
+      || hasSessionCookies(state.session)
+      || Object.keys(state.session.headers).length > 0,
+    sessionCheck: sessionCheck ? {
+      ...sessionCheck,
+      matchesLoggedOutUrl: sessionCheck.loggedOutUrlPattern
+        ? compileUrlPattern(sessionCheck.loggedOutUrlPattern)
+        : null
+    } : null,
+    maxRelogins,
+    crawlStats,
+    respectRobots,
+    urlFilter,
+    urlNormalizer,
+    honorCanonical,
+    pageCache,
+    exploreSpa,
+    spaMaxClicks,
+    exploreForms,
+    formSampleValues,
+    maxFormVariants,
+    isPostAllowed: compilePostAllowlist(formPostAllowlist),
+    maxPageBytes,
+    screenshotter,
+    exportSessionPath,
+    credentials,
+    abortSignal,
+    onLog
+  };
+
+  const inFlight = new Map();
+  let abortError = null;
+
+  const checkpointWriter = checkpointPath ? createCheckpointWriter(checkpointPath, onLog) : null;
+  let completedSinceCheckpoint = 0;
+  // In-flight pages are written back to the frontier and left unvisited,
+  // so a resumed crawl fetches them again instead of losing them.
+  const takeSnapshot = () => {
+    const inFlightItems = Array.from(inFlight.values());
+    const inFlightKeys = new Set(inFlightItems.map(item => urlNormalizer.visitKey(item.url)));
+    return {
+      ...checkpointMeta,
+      visited: Array.from(visited).filter(key => !inFlightKeys.has(key)),
+      queue: [...inFlightItems, ...queue],
+      sitemapQueue,
+      pages,
+      failures
+    };
+  };
+
+  try {
+    // Log in before any page is fetched so a broken recipe fails the
+    // crawl with the failing step instead of every page failing alike
+    if (loginRecipe && !hasSessionCookies(state.session)) {
+      await getBrowserContext(options, state);
     }
 
-    visited.add(visitKey);
+    while (!abortError) {
+      while (inFlight.size < Math.max(1, concurrency) && pages.length + inFlight.size < maxPages) {
+        const item = takeNextItem(queue, sitemapQueue, inFlight, state.hostActive, perHostConcurrency);
+        if (!item) break;
 
-    try {
-      throwIfAborted(abortSignal);
-      log(onLog, `Crawling [depth=${depth}]: ${url}`);
-      
-      if (pages.length > 0 && delayMs > 0) {
-        await sleep(delayMs, abortSignal);
+        const visitKey = urlNormalizer.visitKey(item.url);
+        if (visited.has(visitKey) || item.depth > maxDepth) {
+          continue;
+        }
+        // The start URL is the seed of the crawl and is never filtered out
+        if (item.depth > 0 && urlFilter && !urlFilter.allows(item.url)) {
+          continue;
+        }
+        visited.add(visitKey);
+
+        const host = new URL(item.url).host;
+        state.hostActive.set(host, (state.hostActive.get(host) || 0) + 1);
+
+        const task = crawlPage(item, options, state)
+          .then(page => {
+            if (!page) return;
+
+            // Canonical URLs can fold different fetched URLs into one page
+            const pageKey = urlNormalizer.visitKey(page.url);
+            if (recordedKeys.has(pageKey)) {
+              log(onLog, `Skipped [duplicate of ${page.url}]: ${item.url}`);
+              return;
+            }
+            recordedKeys.add(pageKey);
+            visited.add(pageKey);
+            pages.push(page);
+
+            // Add new links to queue
+            if (item.depth < maxDepth) {
+              page.links.forEach(link => {
+                const nextKey = urlNormalizer.visitKey(link.href);
+                if (!visited.has(nextKey)) {
+                  queue.push({
+                    url: link.href,
+                    fetchUrl: link.fetchUrl,
+                    depth: item.depth + 1,
+                    referrer: page.url,
+                    discovery: 'navigation'
+                  });
+                }
+              });
+            }
+          })
+          .catch(error => {
+            if (isAbortError(error)) {
+              abortError = abortError || error;
+              // Not fetched: return it to the frontier for a later resume
+              visited.delete(visitKey);
+              queue.unshift(item);
+              return;
+            }
+            log(onLog, `Failed to crawl ${item.url}: ${error.message}`);
+            failures.push({
+              url: item.url,
+              status: error.fetchInfo?.status ?? null,
+              error: error.message,
+              redirectChain: error.fetchInfo?.redirectChain || [],
+              referrer: item.referrer,
+              depth: item.depth
+            });
+          })
+          .finally(() => {
+            state.hostActive.set(host, state.hostActive.get(host) - 1);
+            inFlight.delete(task);
+
+            completedSinceCheckpoint += 1;
+            if (checkpointWriter && !abortError && completedSinceCheckpoint >= checkpointEvery) {
+              completedSinceCheckpoint = 0;
+              checkpointWriter.write(takeSnapshot());
+            }
+          });
+
+        inFlight.set(task, item);
       }
 
-      let html = null;
-      let renderUsed = 'static';
-
-      if (shouldUsePlaywright(rendering, authMode, credentials)) {
-        browserContext = browserContext || await createBrowserContext(credentials, authMode, loginUrl || startUrl, timeout);
-        usingPlaywright = true;
-        html = await fetchHtmlWithPlaywright(url, browserContext.context, timeout, maxRetries, abortSignal);
-        renderUsed = 'playwright';
-      } else {
-        html = await fetchHtmlWithAxios(url, {
-          timeout,
-          maxRetries,
-          retryBaseMs,
-          retryMaxMs,
-          credentials,
-          authMode,
-          abortSignal
+      if (inFlight.size === 0) break;
+      await Promise.race(inFlight.keys());
+    }
+
+    // Let in-flight fetches settle before tearing down the browser
+    await Promise.allSettled(Array.from(inFlight.keys()));
+    if (abortError) {
+      throw abortError;
+    }
+  } finally {
+    if (checkpointWriter) {
+      checkpointWriter.write(takeSnapshot());
+      await checkpointWriter.flush();
+    }
+
+    const browserContext = state.browserContextPromise
+      ? await state.browserContextPromise.catch(() => null)
+      : null;
+
+    if (exportSessionPath) {
+      await exportSession(state.session, browserContext, exportSessionPath, onLog);
+    }
+    if (browserContext) {
+      await closeBrowserContext(browserContext);
+    }
+  }
+
+  if (crawlStats) {
+    crawlStats.failures = failures;
+  }
+  return resolveLinkAliases(pages, urlNormalizer);
+}
+
+/**
+ * Points every link at the URL its target page was recorded under, so
+ * links to http/https, tracking or canonical variants share one node.
+ */
+function resolveLinkAliases(pages, urlNormalizer) {
+  const recordedUrls = new Map();
+  pages.forEach(page => {
+    recordedUrls.set(urlNormalizer.visitKey(page.url), page.url);
+    if (page.fetchedUrl) {
+      recordedUrls.set(urlNormalizer.visitKey(page.fetchedUrl), page.url);
+    }
+  });
+
+  pages.forEach(page => {
+    page.links = page.links
+      .map(link => {
+        const recordedUrl = recordedUrls.get(urlNormalizer.visitKey(link.href));
+        return recordedUrl ? { ...link, href: recordedUrl } : link;
+      })
+      .filter(link => link.href !== page.url);
+  });
+
+  return pages;
+}
+
+/**
+ * Picks the next queue entry that may start now.
+ *
+ * BFS depth semantics are kept by never starting an entry while a shallower
+ * page is still in flight: that page may yet discover the same URL at a
+ * lower depth. Sitemap seeds wait until no navigation page is in flight.
+ */
+function takeNextItem(queue, sitemapQueue, inFlight, hostActive, perHostConcurrency) {
+  const inFlightItems = Array.from(inFlight.values());
+  const minInFlightDepth = inFlightItems.reduce((min, item) => Math.min(min, item.depth), Infinity);
+  const hasHostCapacity = item => {
+    try {
+      return (hostActive.get(new URL(item.url).host) || 0) < Math.max(1, perHostConcurrency);
+    } catch {
+      return true;
+    }
+  };
+
+  const index = queue.findIndex(item => item.depth <= minInFlightDepth && hasHostCapacity(item));
+  if (index !== -1) {
+    return queue.splice(index, 1)[0];
+  }
+  if (queue.length > 0 || inFlightItems.some(item => item.discovery === 'navigation')) {
+    return null;
+  }
+
+  const seedIndex = sitemapQueue.findIndex(hasHostCapacity);
+  return seedIndex === -1 ? null : sitemapQueue.splice(seedIndex, 1)[0];
+}
+
+/**
+ * Fetches and parses a single queue entry.
+ * Returns the page record, or null when the URL was skipped.
+ */
+async function crawlPage(item, options, state) {
+  const { url, depth, referrer, discovery } = item;
+  // `url` is the normalized visit URL; the page is fetched as discovered
+  // (e.g. with its trailing slash) so relative links resolve as in a browser
+  const requestUrl = item.fetchUrl || url;
+  const {
+    hostScope,
+    timeout,
+    delayMs,
+    respectRobots,
+    urlFilter,
+    urlNormalizer,
+    honorCanonical,
+    pageCache,
+    exploreSpa,
+    spaMaxClicks,
+    exploreForms,
+    abortSignal,
+    onLog
+  } = options;
+
+  throwIfAborted(abortSignal);
+
+  let hostDelayMs = delayMs;
+  if (respectRobots) {
+    const robots = await loadRobotsForUrl(requestUrl, state.robotsCache, { timeout, abortSignal });
+    if (!isAllowedByRobots(robots, requestUrl, USER_AGENT)) {
+      log(onLog, `Skipped [robots]: ${url}`);
+      return null;
+    }
+    const crawlDelay = getCrawlDelay(robots, USER_AGENT);
+    if (crawlDelay !== null) {
+      hostDelayMs = Math.max(delayMs, crawlDelay * 1000);
+    }
+  }
+
+  await waitForHostSlot(url, hostDelayMs, state.hostNextFetchAt, abortSignal);
+  log(onLog, `Crawling [depth=${depth}]: ${url}`);
+
+  // Known binary extensions are probed with HEAD and never downloaded
+  if (getDocumentExtension(url)) {
+    const fetchInfo = await probeDocument(requestUrl, options, state);
+    log(onLog, `Recorded document [${fetchInfo.contentType || 'unknown type'}]: ${url}`);
+    return createDocumentRecord(item, fetchInfo, urlNormalizer);
+  }
+
+  const cacheKey = urlNormalizer.visitKey(url);
+  const cachedEntry = pageCache ? await pageCache.get(cacheKey) : null;
+
+  // Pages fetched after the session expired are the login page in
+  // disguise: log in again and refetch instead of mapping them
+  const sessionGeneration = state.sessionGeneration;
+  let fetched = await fetchPage(requestUrl, options, state, cachedEntry);
+  if (isSessionExpired(requestUrl, fetched, options)) {
+    await reauthenticate(url, sessionGeneration, options, state);
+    fetched = await fetchPage(requestUrl, options, state, cachedEntry);
+    if (isSessionExpired(requestUrl, fetched, options)) {
+      throw new Error(`Still logged out after re-login: ${url}`);
+    }
+  }
+  if (fetched.isDocument) {
+    log(onLog, `Recorded document [${fetched.fetchInfo.contentType || 'unknown type'}]: ${url}`);
+    return createDocumentRecord(item, fetched.fetchInfo, urlNormalizer);
+  }
+  const { html, renderUsed, notModified, validators, fetchInfo } = fetched;
+
+  const cacheStatus = pageCache ? classifyFreshness(cachedEntry, html, notModified) : null;
+  if (pageCache && !notModified) {
+    await pageCache.set(cacheKey, {
+      url,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null,
+      contentHash: hashContent(html),
+      html
+    }).catch(error => log(onLog, `Failed to cache ${url}: ${error.message}`));
+  }
+
+  const $ = cheerio.load(html);
+  // Relative URLs resolve against the final (post-redirect) URL and <base>.
+  // Rendered pages use the browser's own base, so hrefs match the
+  // measured layout's `anchor.href` keys exactly.
+  const baseUrl = fetched.linkLayout?.baseUrl || getDocumentBaseUrl($, fetchInfo.finalUrl || requestUrl);
+
+  // Extract page metadata
+  const title = $('title').text().trim() || $('h1').first().text().trim() || 'Untitled';
+
+  // Record the page under its canonical URL when it stays in scope
+  const canonicalUrl = honorCanonical ? extractCanonicalUrl($, baseUrl) : null;
+  const pageUrl = canonicalUrl && hostScope.inScope(new URL(canonicalUrl).hostname)
+    ? urlNormalizer.normalize(canonicalUrl)
+    : urlNormalizer.normalize(url);
+  const pageKey = urlNormalizer.visitKey(pageUrl);
+  
+  // Extract all links
+  const pageHost = new URL(url).hostname;
+  const links = [];
+  const toInScopeLink = (rawUrl) => {
+    const linkHost = new URL(rawUrl).hostname;
+    if (!hostScope.inScope(linkHost)) return null;
+
+    const normalized = urlNormalizer.normalize(rawUrl);
+    if (urlNormalizer.visitKey(normalized) === pageKey) return null;
+    if (urlFilter && !urlFilter.allows(normalized)) return null;
+    return { href: normalized, fetchUrl: toFetchUrl(rawUrl, normalized), crossHost: linkHost !== pageHost };
+  };
+
+  const locateBlock = createBlockLocator($);
+  // Rendered pages carry measured link layout; static pages have none
+  const lookupProminence = createProminenceLookup(fetched.linkLayout);
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href');
+    const text = $(elem).text().trim();
+    const context = extractLinkContext($, elem);
+
+    if (!href || isNonHttpLink(href)) return;
+
+    try {
+      const absoluteUrl = new URL(href, baseUrl).href;
+      const prominence = lookupProminence(absoluteUrl, text);
+      const resolvedUrl = resolveRedirector(absoluteUrl, baseUrl);
+      if (!resolvedUrl) return;
+
+      // Only include links within the configured host scope
+      const link = toInScopeLink(resolvedUrl);
+      if (link) {
+        links.push({
+          href: link.href,
+          fetchUrl: link.fetchUrl,
+          text,
+          // The measured position beats the DOM-order estimate
+          context: prominence ? { ...context, position: prominence.position } : context,
+          block: locateBlock(elem),
+          ...(prominence ? { prominence } : {}),
+          crossHost: link.crossHost
         });
+      }
+    } catch (e) {
+      // Invalid URL, skip
+    }
+  });
 
-        if (rendering === 'auto' && needsPlaywright(html)) {
-          browserContext = browserContext || await createBrowserContext(credentials, authMode, loginUrl || startUrl, timeout);
-          usingPlaywright = true;
-          html = await fetchHtmlWithPlaywright(url, browserContext.context, timeout, maxRetries, abortSignal);
-          renderUsed = 'playwright';
+  if (exploreForms) {
+    links.push(...await discoverFormLinks($, baseUrl, links, toInScopeLink, options, state));
+  }
+
+  if (exploreSpa && renderUsed === 'playwright') {
+    const browserContext = await getBrowserContext(options, state);
+    links.push(...await discoverSpaLinks(requestUrl, links, toInScopeLink, {
+      context: browserContext.context,
+      urlNormalizer,
+      timeout,
+      maxClicks: spaMaxClicks,
+      abortSignal,
+      onLog
+    }));
+  }
+
+  return {
+    url: pageUrl,
+    fetchedUrl: requestUrl,
+    canonicalUrl,
+    title,
+    html,
+    links,
+    depth,
+    referrer,
+    discovery,
+    rendering: renderUsed,
+    cacheStatus,
+    fetch: fetchInfo,
+    screenshot: fetched.screenshot || null
+  };
+}
+
+/**
+ * Adds result pages of search/filter forms as links. GET forms become
+ * URLs directly; allowlisted POST forms are submitted and contribute the
+ * page they redirect to. POST actions disallowed by robots.txt are never
+ * submitted.
+ */
+async function discoverFormLinks($, url, anchorLinks, toInScopeLink, options, state) {
+  const {
+    hostScope,
+    urlNormalizer,
+    formSampleValues,
+    maxFormVariants,
+    isPostAllowed,
+    respectRobots,
+    timeout,
+    abortSignal,
+    onLog
+  } = options;
+  const knownKeys = new Set(anchorLinks.map(link => urlNormalizer.visitKey(link.href)));
+  const locateBlock = createBlockLocator($);
+  const submissions = collectFormSubmissions($, url, {
+    sampleValues: formSampleValues,
+    maxVariants: maxFormVariants,
+    isPostAllowed
+  });
+
+  const links = [];
+  for (const submission of submissions) {
+    throwIfAborted(abortSignal);
+
+    let href = submission.href;
+    if (submission.method === 'POST') {
+      // Never send a POST outside the crawl scope, even when allowlisted
+      if (!hostScope.inScope(new URL(submission.action).hostname)) continue;
+      if (respectRobots) {
+        const robots = await loadRobotsForUrl(submission.action, state.robotsCache, { timeout, abortSignal });
+        if (!isAllowedByRobots(robots, submission.action, USER_AGENT)) {
+          log(onLog, `Skipped form [robots]: ${submission.action}`);
+          continue;
         }
       }
+      try {
+        href = await submitPostForm(submission, options, state);
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        log(onLog, `Form submission failed for ${submission.action}: ${error.message}`);
+        continue;
+      }
+    }
 
-      const $ = cheerio.load(html);
-
-      // Extract page metadata
-      const title = $('title').text().trim() || $('h1').first().text().trim() || 'Untitled';
-      
-      // Extract all links
-      const links = [];
-      $('a[href]').each((i, elem) => {
-        const href = $(elem).attr('href');
-        const text = $(elem).text().trim();
-        const context = extractLinkContext($, elem);
-
-        if (!href || isNonHttpLink(href)) return;
-
-        try {
-          const absoluteUrl = new URL(href, url).href;
-          const resolvedUrl = resolveRedirector(absoluteUrl, url);
-          if (!resolvedUrl) return;
-
-          const linkDomain = new URL(resolvedUrl).hostname;
-
-          // Only include internal links
-          if (linkDomain === baseDomain) {
-            const normalized = stripHash(resolvedUrl);
-            const current = stripHash(url);
-            if (normalized === current) return;
-
-            links.push({
-              href: resolvedUrl,
-              text,
-              context
-            });
-          }
-        } catch (e) {
-          // Invalid URL, skip
-        }
-      });
+    const link = href ? safeInScopeLink(toInScopeLink, href) : null;
+    if (!link) continue;
 
-      pages.push({
-        url,
-        title,
-        html,
-        links,
-        depth,
-        referrer,
-        rendering: renderUsed
-      });
+    const key = urlNormalizer.visitKey(link.href);
+    if (knownKeys.has(key)) continue;
+    knownKeys.add(key);
 
-      // Add new links to queue
-      if (depth < maxDepth) {
-        links.forEach(link => {
-          const nextKey = normalizeForVisit(link.href);
-          if (!visited.has(nextKey)) {
-            queue.push({
-              url: link.href,
-              depth: depth + 1,
-              referrer: url
-            });
-          }
-        });
+    links.push({
+      href: link.href,
+      fetchUrl: link.fetchUrl,
+      text: submission.text,
+      context: extractLinkContext($, submission.elem),
+      block: locateBlock(submission.elem),
+      crossHost: link.crossHost,
+      navigationType: 'form',
+      form: {
+        method: submission.method,
+        action: submission.action,
+        // [name, value] pairs, so repeated names (tag=a&tag=b) survive
+        fields: submission.fields
       }
+    });
+  }
 
-    } catch (error) {
-      if (isAbortError(error)) {
-        throw error;
+  return links;
+}
+
+/**
+ * Submits an allowlisted POST form and returns the URL it lands on, or
+ * null when the result has no URL of its own (no redirect).
+ *
+ * Redirects go through the same hop-by-hop loop as page fetches, so auth
+ * headers stay on in-scope hosts. Every hop waits for its host slot, and
+ * redirect targets are checked against robots.txt when `respectRobots`
+ * is set. A 307/308 may only repeat the POST on an in-scope host.
+ */
+async function submitPostForm(submission, options, state) {
+  const { timeout, delayMs, respectRobots, credentials, authMode, hostScope, abortSignal } = options;
+
+  const beforeHop = async (hopUrl, hop, hopMethod) => {
+    if (hopMethod === 'POST' && !hostScope.inScope(new URL(hopUrl).hostname)) {
+      throw new Error(`Refusing to repeat POST on out-of-scope redirect: ${hopUrl}`);
+    }
+    let hostDelayMs = delayMs;
+    if (respectRobots) {
+      const robots = await loadRobotsForUrl(hopUrl, state.robotsCache, { timeout, abortSignal });
+      // The form action itself was checked before submitting
+      if (hop > 0 && !isAllowedByRobots(robots, hopUrl, USER_AGENT)) {
+        throw new Error(`Redirect target disallowed by robots.txt: ${hopUrl}`);
+      }
+      const crawlDelay = getCrawlDelay(robots, USER_AGENT);
+      if (crawlDelay !== null) {
+        hostDelayMs = Math.max(delayMs, crawlDelay * 1000);
       }
-      log(onLog, `Failed to crawl ${url}: ${error.message}`);
     }
+    await waitForHostSlot(hopUrl, hostDelayMs, state.hostNextFetchAt, abortSignal);
+  };
+
+  const { fetchInfo } = await getFollowingRedirects(submission.action, {
+    method: 'POST',
+    data: new URLSearchParams(submission.fields).toString(),
+    timeout,
+    credentials,
+    authMode,
+    session: state.session,
+    hostScope,
+    beforeHop,
+    abortSignal
+  });
+
+  return fetchInfo.finalUrl === submission.action ? null : fetchInfo.finalUrl;
+}
+
+function compilePostAllowlist(patterns) {
+  const matchers = patterns.map(pattern => compileUrlPattern(pattern));
+  return url => matchers.some(matches => matches(url));
+}
+
+function safeInScopeLink(toInScopeLink, url) {
+  try {
+    return toInScopeLink(url);
+  } catch {
+    return null;
   }
+}
 
-  if (browserContext && usingPlaywright) {
-    await closeBrowserContext(browserContext);
+/**
+ * Clicks through a rendered page to find client-side navigation and turns
+ * each route change into a link labelled with its trigger element.
+ * Targets already reachable through an anchor on the page are skipped.
+ */
+async function discoverSpaLinks(url, anchorLinks, toInScopeLink, options) {
+  const { context, urlNormalizer, timeout, maxClicks, abortSignal, onLog } = options;
+  const knownKeys = new Set(anchorLinks.map(link => urlNormalizer.visitKey(link.href)));
+
+  let navigations = [];
+  try {
+    navigations = await exploreSpaNavigation(context, url, { timeout, maxClicks, abortSignal });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    log(onLog, `SPA exploration failed for ${url}: ${error.message}`);
+    return [];
   }
 
-  return pages;
+  const links = [];
+  navigations.forEach(({ href, trigger, navigationType }) => {
+    let link;
+    try {
+      link = toInScopeLink(href);
+    } catch {
+      return;
+    }
+    if (!link) return;
+
+    const key = urlNormalizer.visitKey(link.href);
+    if (knownKeys.has(key)) return;
+    knownKeys.add(key);
+
+    links.push({
+      href: link.href,
+      fetchUrl: link.fetchUrl,
+      text: trigger.text,
+      context: {
+        isGlobalNav: trigger.inHeader || trigger.inFooter || trigger.inNav || trigger.inSidebar,
+        inHeader: trigger.inHeader,
+        inFooter: trigger.inFooter,
+        inNav: trigger.inNav,
+        inSidebar: trigger.inSidebar,
+        position: trigger.position
+      },
+      crossHost: link.crossHost,
+      navigationType,
+      trigger: {
+        tag: trigger.tag,
+        role: trigger.role,
+        text: trigger.text
+      }
+    });
+  });
+
+  if (links.length > 0) {
+    log(onLog, `Discovered ${links.length} client-side routes on ${url}`);
+  }
+  return links;
+}
+
+/**
+ * Fetches a page's HTML with axios or Playwright, falling back to
+ * Playwright in auto mode when the static HTML looks like an app shell.
+ */
+async function fetchPage(url, options, state, cachedEntry) {
+  const {
+    timeout,
+    rendering,
+    maxRetries,
+    retryBaseMs,
+    retryMaxMs,
+    authMode,
+    loginRecipe,
+    credentials,
+    maxPageBytes,
+    screenshotter,
+    hostScope,
+    authenticated,
+    abortSignal,
+    onLog
+  } = options;
+
+  const capture = screenshotter
+    ? page => screenshotter.capture(page, url).catch(error => {
+      log(onLog, `Screenshot failed for ${url}: ${error.message}`);
+      return null;
+    })
+    : null;
+
+  let result;
+  if (shouldUsePlaywright(rendering, authMode, credentials, state.session, loginRecipe)) {
+    const browserContext = await getBrowserContext(options, state);
+    await syncToContext(state.session, browserContext.context);
+    result = {
+      ...withFetchInfo(await fetchHtmlWithPlaywright(url, browserContext.context, timeout, maxRetries, abortSignal, capture, authenticated)),
+      renderUsed: 'playwright',
+      notModified: false,
+      validators: {}
+    };
+  } else {
+    const response = await fetchHtmlWithAxios(url, {
+      timeout,
+      maxRetries,
+      retryBaseMs,
+      retryMaxMs,
+      credentials,
+      authMode,
+      session: state.session,
+      authenticated,
+      hostScope,
+      cachedEntry,
+      maxPageBytes,
+      abortSignal
+    });
+    result = {
+      isDocument: Boolean(response.isDocument),
+      html: response.html,
+      fetchInfo: toFetchInfo(response),
+      finalUrl: response.finalUrl,
+      status: response.status,
+      renderUsed: 'static',
+      notModified: response.notModified,
+      validators: { etag: response.etag, lastModified: response.lastModified }
+    };
+
+    if (rendering === 'auto' && !result.isDocument && needsPlaywright(result.html)) {
+      const browserContext = await getBrowserContext(options, state);
+      // Cookies the static fetch just received must reach the browser too
+      await syncToContext(state.session, browserContext.context);
+      // Rendered output can't be revalidated against HTTP validators
+      result = {
+        ...withFetchInfo(await fetchHtmlWithPlaywright(url, browserContext.context, timeout, maxRetries, abortSignal, capture, authenticated)),
+        renderUsed: 'playwright',
+        notModified: false,
+        validators: {}
+      };
+    }
+  }
+
+  // Keep the axios jar in step with cookies the browser picked up; the
+  // other direction is syncToContext before each browser fetch
+  if (result.renderUsed === 'playwright') {
+    const browserContext = await getBrowserContext(options, state);
+    await syncFromContext(state.session, browserContext.context);
+  }
+
+  return result;
+}
+
+function withFetchInfo(response) {
+  return { ...response, fetchInfo: toFetchInfo(response) };
+}
+
+// Per-page HTTP details recorded on the page as `fetch`
+function toFetchInfo(response) {
+  return {
+    status: response.status,
+    finalUrl: response.finalUrl,
+    redirectChain: response.redirectChain || [],
+    contentType: response.contentType || null,
+    bytes: response.bytes || 0,
+    durationMs: response.durationMs ?? null
+  };
+}
+
+/**
+ * Decides whether a fetched page shows that the session has expired.
+ *
+ * Signals, in order: a 401 response, `sessionCheck.loggedOutUrlPattern`
+ * matching the final URL, `sessionCheck.loggedOutSelector` present,
+ * `sessionCheck.loggedInSelector` missing, and finally a redirect onto
+ * the login page. Only runs for authenticated crawls.
+ */
+function isSessionExpired(url, fetched, options) {
+  const { sessionCheck, loginPageUrl, authenticated } = options;
+  if (!authenticated || !sessionCheck || fetched.isDocument) return false;
+  // The login page itself always looks logged out
+  if (loginPageUrl && isSamePath(url, loginPageUrl)) return false;
+
+  if (fetched.status === 401) return true;
+
+  const finalUrl = fetched.finalUrl || url;
+  if (sessionCheck.matchesLoggedOutUrl && sessionCheck.matchesLoggedOutUrl(finalUrl)) return true;
+
+  if (sessionCheck.loggedOutSelector || sessionCheck.loggedInSelector) {
+    const $ = cheerio.load(fetched.html || '');
+    if (sessionCheck.loggedOutSelector && $(sessionCheck.loggedOutSelector).length > 0) return true;
+    if (sessionCheck.loggedInSelector && $(sessionCheck.loggedInSelector).length === 0) return true;
+  }
+
+  return Boolean(loginPageUrl) && isSamePath(finalUrl, loginPageUrl) && !isSamePath(url, finalUrl);
+}
+
+/**
+ * Logs in again after a session expired. Workers that detect the expiry
+ * together share one re-login, and a worker whose fetch started before
+ * the latest re-login only refetches.
+ */
+async function reauthenticate(url, sessionGeneration, options, state) {
+  const { credentials, authMode, loginRecipe, maxRelogins, crawlStats, exportSessionPath, onLog } = options;
+
+  if (state.sessionGeneration !== sessionGeneration) return;
+  if (state.reloginPromise) {
+    await state.reloginPromise;
+    return;
+  }
+  if (!canLogIn(authMode, credentials, loginRecipe)) {
+    throw new Error(`Session expired at ${url} and no login is configured`);
+  }
+  if (state.relogins >= maxRelogins) {
+    throw new Error(`Session expired at ${url}; giving up after ${maxRelogins} re-logins`);
+  }
+
+  state.relogins += 1;
+  if (crawlStats) {
+    crawlStats.relogins = state.relogins;
+  }
+  log(onLog, `Session expired at ${url}; logging in again (re-login ${state.relogins})`);
+
+  state.reloginPromise = (async () => {
+    // A context launched with an empty jar logs in as part of its setup
+    const hadContext = Boolean(state.browserContextPromise);
+    state.session.cookies = [];
+    state.session.browserUpdates = [];
+    const browserContext = await getBrowserContext(options, state);
+    if (hadContext) {
+      await browserContext.context.clearCookies();
+      await logIn(browserContext.context, state.session, options);
+    }
+    state.sessionGeneration += 1;
+  })();
+
+  try {
+    await state.reloginPromise;
+  } finally {
+    state.reloginPromise = null;
+  }
+}
+
+// The explicit loginUrl, else the first page a login recipe opens
+function getLoginPageUrl(startUrl, loginUrl, loginRecipe) {
+  const recipeStart = loginRecipe?.find(step => step.action === 'goto' && !step.url.includes('{{'));
+  try {
+    const base = loginUrl ? new URL(loginUrl, startUrl).href : startUrl;
+    if (loginUrl) return base;
+    return recipeStart ? new URL(recipeStart.url, base).href : null;
+  } catch {
+    return null;
+  }
+}
+
+function canLogIn(authMode, credentials, loginRecipe) {
+  return Boolean(loginRecipe)
+    || (['form', 'auto'].includes(authMode) && Boolean(credentials?.username && credentials?.password));
 }
 
-function shouldUsePlaywright(rendering, authMode, credentials) {
+function isSamePath(a, b) {
+  try {
+    const urlA = new URL(a);
+    const urlB = new URL(b);
+    const trim = pathname => pathname.replace(/\/+$/, '') || '/';
+    return urlA.host === urlB.host && trim(urlA.pathname) === trim(urlB.pathname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Spaces out requests to the same host by reserving the next start time.
+ * Reservations are synchronous, so concurrent workers never share a slot.
+ */
+async function waitForHostSlot(url, hostDelayMs, hostNextFetchAt, abortSignal) {
+  const host = new URL(url).host;
+  const now = Date.now();
+  const slot = Math.max(now, hostNextFetchAt.get(host) || 0);
+  hostNextFetchAt.set(host, slot + hostDelayMs);
+
+  if (slot > now) {
+    await sleep(slot - now, abortSignal);
+  }
+}
+
+function shouldUsePlaywright(rendering, authMode, credentials, session, loginRecipe) {
   if (rendering === 'playwright') return true;
+  // A reused session already carries the login, so axios can fetch with it
+  if (hasSessionCookies(session)) return false;
+  if (loginRecipe) return true;
   if (['form', 'auto'].includes(authMode) && credentials?.username && credentials?.password) return true;
   return false;
 }
@@ -179,25 +990,61 @@ async function fetchHtmlWithAxios(url, options) {
     retryMaxMs,
     credentials,
     authMode,
+    session = null,
+    authenticated = false,
+    hostScope = null,
+    cachedEntry = null,
+    maxPageBytes = DEFAULT_MAX_PAGE_BYTES,
     abortSignal
   } = options;
 
+  const conditionalHeaders = {};
+  if (cachedEntry?.etag) conditionalHeaders['If-None-Match'] = cachedEntry.etag;
+  if (cachedEntry?.lastModified) conditionalHeaders['If-Modified-Since'] = cachedEntry.lastModified;
+
   for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
     try {
       throwIfAborted(abortSignal);
-      const response = await axios.get(url, {
+      const { response, fetchInfo } = await getFollowingRedirects(url, {
         timeout,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; FlowMapperBot/1.0)'
-        },
-        maxRedirects: 5,
-        signal: abortSignal || undefined,
-        auth: authMode === 'basic' && credentials?.username && credentials?.password ? {
-          username: credentials.username,
-          password: credentials.password
-        } : undefined
+        credentials,
+        authMode,
+        session,
+        hostScope,
+        conditionalHeaders,
+        maxPageBytes,
+        abortSignal
       });
-      return response.data;
+      const { status } = fetchInfo;
+
+      if (status >= 200 && status < 300 && !isHtmlContentType(fetchInfo.contentType)) {
+        return { html: null, isDocument: true, ...fetchInfo };
+      }
+
+      if (status === 304 && cachedEntry) {
+        return {
+          html: cachedEntry.html,
+          ...fetchInfo,
+          bytes: Buffer.byteLength(cachedEntry.html || ''),
+          notModified: true,
+          etag: cachedEntry.etag,
+          lastModified: cachedEntry.lastModified
+        };
+      }
+
+      // In authenticated crawls 401s come back as a page so expired
+      // sessions can be detected; elsewhere they are broken links
+      if ((status >= 200 && status < 300) || (status === 401 && authenticated)) {
+        return {
+          html: status === 401 ? '' : response.data,
+          ...fetchInfo,
+          notModified: false,
+          etag: response.headers?.etag || null,
+          lastModified: response.headers?.['last-modified'] || null
+        };
+      }
+
+      throw createHttpError(url, response, fetchInfo);
     } catch (error) {
       if (isAbortError(error)) {
         throw error;
@@ -219,21 +1066,282 @@ async function fetchHtmlWithAxios(url, options) {
   throw new Error('Failed to fetch after retries');
 }
 
-async function fetchHtmlWithPlaywright(url, context, timeout, maxRetries, abortSignal) {
+/**
+ * GETs a URL, following redirects by hand so every hop is recorded and
+ * cookies set along the way reach the session jar.
+ *
+ * Auth headers (bearer token, API key, custom headers) and basic-auth
+ * credentials only go to the first request's origin and to hosts in
+ * `hostScope`; hops anywhere else get cookies matching their domain only.
+ *
+ * With `method: 'POST'` and a form-encoded `data` body, a 301/302/303
+ * turns the next hop into a GET without a body, as browsers do; 307/308
+ * repeat the POST. `beforeHop(url, hop, method)` runs before every
+ * request and may throw to stop the chain.
+ */
+async function getFollowingRedirects(url, options) {
+  const {
+    method = 'GET',
+    data,
+    beforeHop = null,
+    timeout,
+    credentials,
+    authMode,
+    session,
+    hostScope = null,
+    conditionalHeaders = {},
+    maxPageBytes = DEFAULT_MAX_PAGE_BYTES,
+    abortSignal
+  } = options;
+  const startedAt = Date.now();
+  const redirectChain = [];
+  const firstOrigin = new URL(url).origin;
+  let currentUrl = url;
+  let hopMethod = method;
+  let hopData = data;
+
+  for (let hop = 0; ; hop += 1) {
+    if (beforeHop) await beforeHop(currentUrl, hop, hopMethod);
+    const hopUrl = new URL(currentUrl);
+    const trusted = hopUrl.origin === firstOrigin || Boolean(hostScope && hostScope.inScope(hopUrl.hostname));
+    const response = await axios.request({
+      url: currentUrl,
+      method: hopMethod,
+      data: hopData,
+      timeout,
+      headers: {
+        'User-Agent': USER_AGENT,
+        ...(hopData !== undefined ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+        ...getRequestHeaders(session, currentUrl, { includeAuthHeaders: trusted }),
+        // Validators belong to the requested URL only
+        ...(hop === 0 ? conditionalHeaders : {})
+      },
+      maxRedirects: 0,
+      signal: abortSignal || undefined,
+      // Streamed so non-HTML and oversized bodies can be dropped unread
+      responseType: 'stream',
+      validateStatus: () => true,
+      auth: trusted && authMode === 'basic' && credentials?.username && credentials?.password ? {
+        username: credentials.username,
+        password: credentials.password
+      } : undefined
+    });
+
+    storeSetCookies(session, currentUrl, response.headers?.['set-cookie']);
+
+    const location = response.headers?.location;
+    if (response.status >= 300 && response.status < 400 && response.status !== 304 && location) {
+      discardBody(response);
+      if (hop >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (>${MAX_REDIRECTS}) from ${url}`);
+      }
+      redirectChain.push({ url: currentUrl, status: response.status });
+      currentUrl = new URL(location, currentUrl).href;
+      if (hopMethod === 'POST' && [301, 302, 303].includes(response.status)) {
+        hopMethod = 'GET';
+        hopData = undefined;
+      }
+      continue;
+    }
+
+    const contentType = response.headers?.['content-type'] || null;
+    const declaredBytes = Number(response.headers?.['content-length']);
+    const isPage = method === 'GET' && response.status >= 200 && response.status < 300 && isHtmlContentType(contentType);
+    let bytes = Number.isFinite(declaredBytes) ? declaredBytes : null;
+
+    if (isPage) {
+      if (bytes !== null && bytes > maxPageBytes) {
+        discardBody(response);
+        throw new Error(`Response exceeds maxPageBytes (${bytes} > ${maxPageBytes}): ${currentUrl}`);
+      }
+      const body = await readBody(response.data, maxPageBytes, currentUrl);
+      response.data = body.toString('utf8');
+      bytes = body.length;
+    } else {
+      discardBody(response);
+      response.data = '';
+    }
+
+    return {
+      response,
+      fetchInfo: {
+        status: response.status,
+        finalUrl: currentUrl,
+        redirectChain,
+        contentType,
+        bytes,
+        durationMs: Date.now() - startedAt
+      }
+    };
+  }
+}
+
+/**
+ * Reads a response stream, aborting once it grows past `maxBytes`
+ * (servers can omit or understate Content-Length).
+ */
+function readBody(stream, maxBytes, url) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    stream.on('data', chunk => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        stream.destroy();
+        reject(new Error(`Response exceeds maxPageBytes (>${maxBytes}): ${url}`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function discardBody(response) {
+  if (response.data && typeof response.data.destroy === 'function') {
+    response.data.destroy();
+  }
+}
+
+/**
+ * Looks up a document's type and size with a HEAD request. Servers that
+ * reject HEAD still yield a document record typed by its extension.
+ */
+async function probeDocument(url, options, state) {
+  const { timeout, credentials, authMode, hostScope, abortSignal } = options;
+  try {
+    const { response, fetchInfo } = await getFollowingRedirects(url, {
+      method: 'HEAD',
+      timeout,
+      credentials,
+      authMode,
+      session: state.session,
+      hostScope,
+      abortSignal
+    });
+    if (fetchInfo.status >= 400 && ![405, 501].includes(fetchInfo.status)) {
+      throw createHttpError(url, response, fetchInfo);
+    }
+    return fetchInfo;
+  } catch (error) {
+    if (isAbortError(error) || error.fetchInfo) throw error;
+    return {
+      status: null,
+      finalUrl: url,
+      redirectChain: [],
+      contentType: null,
+      bytes: null,
+      durationMs: null
+    };
+  }
+}
+
+/**
+ * Builds the leaf page record for a non-HTML resource.
+ */
+function createDocumentRecord(item, fetchInfo, urlNormalizer) {
+  const { depth, referrer, discovery } = item;
+  const url = item.fetchUrl || item.url;
+  const pathname = new URL(url).pathname;
+  const fileName = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || pathname);
+
+  return {
+    url: urlNormalizer.normalize(url),
+    fetchedUrl: url,
+    canonicalUrl: null,
+    title: fileName,
+    html: null,
+    links: [],
+    depth,
+    referrer,
+    discovery,
+    rendering: 'none',
+    cacheStatus: null,
+    fetch: fetchInfo,
+    resourceType: 'document',
+    document: {
+      kind: getDocumentKind(url, fetchInfo.contentType),
+      contentType: fetchInfo.contentType,
+      bytes: fetchInfo.bytes
+    }
+  };
+}
+
+/**
+ * Error for 4xx/5xx responses. Keeps the response (for retry decisions)
+ * and the fetch details (for the broken-links report).
+ */
+function createHttpError(url, response, fetchInfo) {
+  const error = new Error(`Request failed with status code ${fetchInfo.status}`);
+  error.url = url;
+  error.response = response;
+  error.fetchInfo = fetchInfo;
+  return error;
+}
+
+async function fetchHtmlWithPlaywright(url, context, timeout, maxRetries, abortSignal, capture = null, authenticated = false) {
   for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
     throwIfAborted(abortSignal);
     const page = await context.newPage();
+    const startedAt = Date.now();
     try {
-      await page.goto(url, { waitUntil: 'networkidle', timeout });
+      const response = await page.goto(url, { waitUntil: 'networkidle', timeout });
+      const contentType = response ? response.headers()['content-type'] || null : null;
+      if (response && response.ok() && !isHtmlContentType(contentType)) {
+        const declaredBytes = Number(response.headers()['content-length']);
+        await page.close();
+        return {
+          html: null,
+          isDocument: true,
+          status: response.status(),
+          finalUrl: response.url(),
+          redirectChain: await getPlaywrightRedirectChain(response.request()),
+          contentType,
+          bytes: Number.isFinite(declaredBytes) ? declaredBytes : null,
+          durationMs: Date.now() - startedAt
+        };
+      }
+
       const content = await page.content();
+      const fetchInfo = {
+        status: response ? response.status() : null,
+        finalUrl: page.url(),
+        redirectChain: response ? await getPlaywrightRedirectChain(response.request()) : [],
+        contentType,
+        bytes: Buffer.byteLength(content),
+        durationMs: Date.now() - startedAt
+      };
+
+      if (fetchInfo.status >= 400 && !(fetchInfo.status === 401 && authenticated)) {
+        await page.close();
+        throw createHttpError(url, { status: fetchInfo.status, headers: response.headers() }, fetchInfo);
+      }
+
+      const linkLayout = await measureLinkLayout(page).catch(() => null);
+      const screenshot = capture ? await capture(page) : null;
       await page.close();
-      return content;
+      return { html: content, ...fetchInfo, screenshot, linkLayout };
     } catch (error) {
-      await page.close();
+      await page.close().catch(() => {});
       if (isAbortError(error)) {
         throw error;
       }
-      if (attempt === maxRetries) {
+      // Chromium turns attachments into downloads instead of pages
+      if (/Download is starting/i.test(error.message)) {
+        return {
+          html: null,
+          isDocument: true,
+          status: null,
+          finalUrl: url,
+          redirectChain: [],
+          contentType: null,
+          bytes: null,
+          durationMs: Date.now() - startedAt
+        };
+      }
+      const status = error.response?.status;
+      if (attempt === maxRetries || (status && !shouldRetry(status))) {
         throw error;
       }
       await sleep(500 + jitter(200), abortSignal);
@@ -243,7 +1351,50 @@ async function fetchHtmlWithPlaywright(url, context, timeout, maxRetries, abortS
   throw new Error('Failed to render after retries');
 }
 
-async function createBrowserContext(credentials, authMode, startUrl, timeout) {
+async function getPlaywrightRedirectChain(request) {
+  const chain = [];
+  let previous = request.redirectedFrom();
+  while (previous) {
+    const response = await previous.response().catch(() => null);
+    chain.unshift({ url: previous.url(), status: response ? response.status() : null });
+    previous = previous.redirectedFrom();
+  }
+  return chain;
+}
+
+/**
+ * Returns the crawl's shared browser context, launching it (and logging
+ * in) on first use.
+ */
+function getBrowserContext(options, state) {
+  const { startUrl, loginUrl, credentials, authMode, timeout, hostScope, loginRecipe, exportSessionPath, onLog } = options;
+  state.browserContextPromise = state.browserContextPromise
+    || createBrowserContext(credentials, authMode, loginUrl || startUrl, timeout, {
+      session: state.session,
+      hostScope,
+      loginRecipe,
+      exportSessionPath,
+      onLog
+    });
+  return state.browserContextPromise;
+}
+
+/**
+ * Launches the shared browser context.
+ *
+ * The context is seeded from the session jar, auth headers are injected
+ * only into requests for in-scope hosts (never to third-party CDNs), and
+ * login is skipped when a reused session already has cookies. A login
+ * recipe, when configured, replaces the form-login heuristic.
+ */
+async function createBrowserContext(credentials, authMode, startUrl, timeout, options = {}) {
+  const {
+    session = null,
+    hostScope = null,
+    loginRecipe = null,
+    exportSessionPath = null,
+    onLog = null
+  } = options;
   let playwright;
   try {
     playwright = require('playwright');
@@ -252,6 +1403,24 @@ async function createBrowserContext(credentials, authMode, startUrl, timeout) {
   }
 
   const browser = await playwright.chromium.launch();
+  try {
+    const context = await setUpContext(browser, credentials, authMode, startUrl, timeout, {
+      session,
+      hostScope,
+      loginRecipe,
+      exportSessionPath,
+      onLog
+    });
+    return { browser, context };
+  } catch (error) {
+    // A failed login would otherwise leave the browser process running
+    await browser.close().catch(() => {});
+    throw error;
+  }
+}
+
+async function setUpContext(browser, credentials, authMode, startUrl, timeout, options) {
+  const { session, hostScope, loginRecipe, exportSessionPath, onLog } = options;
   const contextOptions = {};
 
   if (authMode === 'basic' && credentials?.username && credentials?.password) {
@@ -261,13 +1430,76 @@ async function createBrowserContext(credentials, authMode, startUrl, timeout) {
     };
   }
 
+  if (hasSessionCookies(session) || session?.origins.length > 0) {
+    contextOptions.storageState = toStorageState(session);
+  }
+  // The context starts from the whole jar, queued cookies included
+  if (session) session.browserUpdates = [];
+
   const context = await browser.newContext(contextOptions);
 
-  if (['form', 'auto'].includes(authMode) && credentials?.username && credentials?.password) {
-    await attemptFormLogin(context, credentials, startUrl, timeout);
+  const authHeaders = session?.headers || {};
+  if (Object.keys(authHeaders).length > 0) {
+    await context.route('**/*', route => {
+      const request = route.request();
+      let inScope = false;
+      try {
+        inScope = hostScope ? hostScope.inScope(new URL(request.url()).hostname) : false;
+      } catch {
+        inScope = false;
+      }
+      return inScope
+        ? route.continue({ headers: { ...request.headers(), ...authHeaders } })
+        : route.continue();
+    });
+  }
+
+  if (canLogIn(authMode, credentials, loginRecipe) && !hasSessionCookies(session)) {
+    await logIn(context, session, { credentials, loginRecipe, startUrl, timeout, exportSessionPath, onLog });
   }
 
-  return { browser, context };
+  return context;
+}
+
+/**
+ * Runs the configured login (recipe or form heuristic) in the context and
+ * copies the resulting cookies into the session jar.
+ */
+async function logIn(context, session, options) {
+  const { credentials, loginRecipe, loginUrl, startUrl, timeout, exportSessionPath, onLog } = options;
+  const loginPage = loginUrl || startUrl;
+
+  if (loginRecipe) {
+    await runRecipeLogin(context, loginRecipe, credentials, loginPage, timeout, onLog);
+  } else {
+    await attemptFormLogin(context, credentials, loginPage, timeout);
+  }
+  await syncFromContext(session, context, { discardPending: true });
+  if (exportSessionPath) {
+    await exportSession(session, null, exportSessionPath, onLog);
+  }
+}
+
+async function runRecipeLogin(context, loginRecipe, credentials, loginUrl, timeout, onLog) {
+  const page = await context.newPage();
+  try {
+    await runLoginRecipe(page, loginRecipe, { credentials, baseUrl: loginUrl, timeout, onLog });
+    log(onLog, 'Login recipe completed');
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+async function exportSession(session, browserContext, filePath, onLog) {
+  try {
+    if (browserContext) {
+      await syncFromContext(session, browserContext.context);
+    }
+    await saveStorageState(session, filePath);
+    log(onLog, `Session exported to ${filePath}`);
+  } catch (error) {
+    log(onLog, `Failed to export session: ${error.message}`);
+  }
 }
 
 async function closeBrowserContext(browserContext) {
@@ -317,34 +1549,89 @@ async function attemptFormLogin(context, credentials, startUrl, timeout) {
   }
 }
 
-function shouldRetry(status) {
-  return [429, 502, 503, 504].includes(status);
+/**
+ * Loads robots.txt once per origin. The promise is cached so that
+ * concurrent lookups for the same host share a single request.
+ */
+function loadRobotsForUrl(url, robotsCache, options) {
+  const origin = new URL(url).origin;
+  if (!robotsCache.has(origin)) {
+    robotsCache.set(origin, fetchRobots(origin, {
+      ...options,
+      userAgent: USER_AGENT
+    }));
+  }
+  return robotsCache.get(origin);
 }
 
-function stripHash(url) {
-  try {
-    const urlObj = new URL(url);
-    urlObj.hash = '';
-    return urlObj.toString();
-  } catch {
-    return url;
-  }
+/**
+ * Builds queue entries from the site's sitemaps.
+ * Depth is estimated from the URL path so that shallow sitemap pages
+ * can still expand their own links within maxDepth. Sitemaps over
+ * `maxPageBytes` are recorded in `failures`.
+ */
+async function seedFromSitemaps(startUrl, options) {
+  const {
+    hostScope,
+    maxDepth,
+    maxSitemapUrls,
+    maxPageBytes,
+    timeout,
+    robotsCache,
+    failures,
+    abortSignal,
+    onLog
+  } = options;
+
+  const robots = await loadRobotsForUrl(startUrl, robotsCache, { timeout, abortSignal });
+  const entries = await discoverSitemapUrls(startUrl, {
+    robotsSitemaps: robots?.sitemaps || [],
+    timeout,
+    userAgent: USER_AGENT,
+    maxUrls: maxSitemapUrls,
+    maxBytes: maxPageBytes,
+    abortSignal,
+    onFailure: (url, error) => failures.push({
+      url,
+      status: null,
+      error: error.message,
+      redirectChain: [],
+      referrer: null,
+      depth: 0
+    }),
+    onLog
+  });
+
+  const seeds = [];
+  entries.forEach(entry => {
+    try {
+      const urlObj = new URL(entry.url);
+      if (!hostScope.inScope(urlObj.hostname)) return;
+
+      const segments = urlObj.pathname.split('/').filter(Boolean).length;
+      seeds.push({
+        url: urlObj.href,
+        depth: Math.min(Math.max(segments, 1), maxDepth),
+        referrer: null,
+        discovery: 'sitemap-seeded',
+        priority: entry.priority
+      });
+    } catch {
+      // Invalid sitemap URL, skip
+    }
+  });
+
+  log(onLog, `Seeded ${seeds.length} URLs from sitemaps`);
+  return seeds;
 }
 
-function normalizeForVisit(url) {
-  try {
-    const urlObj = new URL(url);
-    urlObj.hash = '';
-    const normalizedPath = urlObj.pathname.replace(/\/+$/, '');
-    urlObj.pathname = normalizedPath || '/';
-    return urlObj.toString();
-  } catch {
-    return url;
-  }
+function shouldRetry(status) {
+  return [429, 502, 503, 504].includes(status);
 }
 
+// In-page anchors are not links, but hash-router routes (#/route) are
 function isNonHttpLink(href) {
-  return href.startsWith('#') ||
+  return (href.startsWith('#') && !isHashRoute(href)) ||
     href.startsWith('mailto:') ||
     href.startsWith('tel:') ||
     href.startsWith('javascript:');
@@ -388,6 +1675,35 @@ function log(onLog, message) {
   }
 }
 
+/**
+ * The URL relative links on a page resolve against: its <base href>
+ * (itself relative to the page URL) or the page URL.
+ */
+function getDocumentBaseUrl($, pageUrl) {
+  const href = $('base[href]').first().attr('href');
+  if (!href) return pageUrl;
+  try {
+    return new URL(href.trim(), pageUrl).href;
+  } catch {
+    return pageUrl;
+  }
+}
+
+// Normalization drops trailing slashes, but /docs/ and /docs resolve
+// relative links differently, so the fetched URL keeps it
+function toFetchUrl(rawUrl, normalized) {
+  try {
+    const raw = new URL(rawUrl);
+    const fetchUrl = new URL(normalized);
+    if (raw.pathname.length > 1 && raw.pathname.endsWith('/') && !fetchUrl.pathname.endsWith('/')) {
+      fetchUrl.pathname += '/';
+    }
+    return fetchUrl.href;
+  } catch {
+    return normalized;
+  }
+}
+
 function resolveRedirector(absoluteUrl, baseUrl) {
   try {
     const urlObj = new URL(absoluteUrl);
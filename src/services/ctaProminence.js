@@ -0,0 +1,172 @@
+/**
+ * Scores how prominent each link is in the rendered page.
+ *
+ * In Playwright mode every link's bounding box and computed style are
+ * measured once after load. The score (0-1) combines:
+ * - above the fold (0.3)
+ * - button-like styling: own background with padding, a rounded border,
+ *   role="button" or btn/button/cta classes (0.2)
+ * - size relative to the viewport (0.15), font size (0.15), bold (0.05)
+ * - text contrast against the effective background (0.15, WCAG ratio)
+ * Hidden links score 0.
+ */
+const MAX_MEASURED_LINKS = 1000;
+
+/**
+ * Measures all links in a Playwright page. Returns { viewport, baseUrl,
+ * links } with links in document order; `baseUrl` is what the browser
+ * resolved every `href` against.
+ */
+async function measureLinkLayout(page) {
+  return page.evaluate(collectLinkLayout, MAX_MEASURED_LINKS);
+}
+
+// Runs in the browser: must not reference anything outside itself
+function collectLinkLayout(maxLinks) {
+  const isTransparent = color => !color || color === 'transparent' || /rgba\([^)]*,\s*0(\.0+)?\s*\)$/.test(color);
+  const effectiveBackground = elem => {
+    for (let node = elem; node && node.nodeType === 1; node = node.parentElement) {
+      const background = getComputedStyle(node).backgroundColor;
+      if (!isTransparent(background)) return background;
+    }
+    return 'rgb(255, 255, 255)';
+  };
+
+  const links = Array.from(document.querySelectorAll('a[href]')).slice(0, maxLinks).map(anchor => {
+    const rect = anchor.getBoundingClientRect();
+    const style = getComputedStyle(anchor);
+    return {
+      href: anchor.href,
+      text: (anchor.textContent || '').trim(),
+      box: {
+        x: Math.round(rect.left + window.scrollX),
+        y: Math.round(rect.top + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      visible: rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && Number(style.opacity) > 0,
+      fontSize: parseFloat(style.fontSize) || 0,
+      fontWeight: Number(style.fontWeight) || 400,
+      color: style.color,
+      background: effectiveBackground(anchor),
+      hasOwnBackground: !isTransparent(style.backgroundColor),
+      hasBorder: parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none',
+      borderRadius: parseFloat(style.borderTopLeftRadius) || 0,
+      paddingX: (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0),
+      paddingY: (parseFloat(style.paddingTop) || 0) + (parseFloat(style.paddingBottom) || 0),
+      role: anchor.getAttribute('role'),
+      className: typeof anchor.className === 'string' ? anchor.className : ''
+    };
+  });
+
+  return {
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scrollHeight: document.documentElement.scrollHeight
+    },
+    baseUrl: document.baseURI,
+    links
+  };
+}
+
+/**
+ * Turns raw measurements into the prominence recorded on a link:
+ * { score, aboveFold, position, box, fontSize, contrast, buttonLike }.
+ */
+function scoreProminence(metrics, viewport) {
+  const contrast = getContrastRatio(metrics.color, metrics.background);
+  const buttonLike = isButtonLike(metrics);
+  const aboveFold = metrics.visible && metrics.box.y < viewport.height;
+  const position = aboveFold
+    ? 'top'
+    : metrics.box.y > (viewport.scrollHeight || viewport.height) * 0.8 ? 'bottom' : 'middle';
+
+  let score = 0;
+  if (metrics.visible) {
+    const area = metrics.box.width * metrics.box.height;
+    const viewportArea = Math.max(1, viewport.width * viewport.height);
+    score =
+      (aboveFold ? 0.3 : 0) +
+      (buttonLike ? 0.2 : 0) +
+      0.15 * clamp(area / viewportArea / 0.01) +
+      0.15 * clamp((metrics.fontSize - 12) / 12) +
+      (metrics.fontWeight >= 600 ? 0.05 : 0) +
+      0.15 * clamp((contrast - 1) / 6);
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    aboveFold,
+    position,
+    box: metrics.box,
+    fontSize: metrics.fontSize,
+    contrast: Math.round(contrast * 10) / 10,
+    buttonLike
+  };
+}
+
+/**
+ * Returns (absoluteHref, text) => prominence for the links of a measured
+ * page. Repeated href/text pairs are matched in document order, which
+ * cheerio and the browser share.
+ */
+function createProminenceLookup(layout) {
+  if (!layout || !Array.isArray(layout.links)) return () => null;
+
+  const queues = new Map();
+  layout.links.forEach(metrics => {
+    const key = toKey(metrics.href, metrics.text);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(metrics);
+  });
+
+  return (href, text) => {
+    const queue = queues.get(toKey(href, text));
+    const metrics = queue && queue.shift();
+    return metrics ? scoreProminence(metrics, layout.viewport) : null;
+  };
+}
+
+function isButtonLike(metrics) {
+  if (metrics.role === 'button') return true;
+  if (/(^|[\s_-])(btn|button|cta)([\s_-]|$)/i.test(metrics.className || '')) return true;
+  if (metrics.hasOwnBackground && metrics.paddingX >= 16 && metrics.paddingY >= 6) return true;
+  return metrics.hasBorder && metrics.borderRadius > 0 && metrics.paddingY >= 6;
+}
+
+// WCAG 2 contrast ratio between two CSS rgb()/rgba() colors (1 to 21)
+function getContrastRatio(foreground, background) {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  if (!fg || !bg) return 1;
+  const [lighter, darker] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function parseColor(value) {
+  const match = String(value || '').match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)/i);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : null;
+}
+
+function luminance([r, g, b]) {
+  const channel = value => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+function toKey(href, text) {
+  return `${href}|${String(text || '').replace(/\s+/g, ' ').trim().toLowerCase()}`;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+module.exports = {
+  measureLinkLayout,
+  scoreProminence,
+  createProminenceLookup
+};
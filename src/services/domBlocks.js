@@ -0,0 +1,80 @@
+/**
+ * Locates the DOM block a link belongs to, as a structural path that is
+ * stable across pages built from the same template
+ * (e.g. "body>div.page>header#top>ul.menu").
+ *
+ * A link's block is its nearest ancestor that is a landmark (header,
+ * nav, footer, aside or an equivalent ARIA role) or that contains at
+ * least MIN_BLOCK_LINKS links. Path steps use the tag, a digit-free id
+ * and up to two digit-free classes; state classes such as "active" are
+ * ignored so the current-page highlight does not change the path.
+ * `body` and the wrappers above the outermost landmark (above the block
+ * itself when there is no landmark) contribute only their tag, since
+ * their classes often vary by page type.
+ */
+const MIN_BLOCK_LINKS = 2;
+const MAX_CLASSES = 2;
+
+const LANDMARK_SELECTOR = 'header, nav, footer, aside, [role="banner"], [role="navigation"], [role="contentinfo"], [role="complementary"]';
+const STATE_CLASSES = /^(is-|has-)?(active|current|selected|open|expanded|collapsed|hover|focus|visible|hidden)$/i;
+
+function createBlockLocator($) {
+  const linkCounts = new Map();
+  const paths = new Map();
+
+  const countLinks = elem => {
+    if (!linkCounts.has(elem)) {
+      linkCounts.set(elem, $(elem).find('a[href]').length);
+    }
+    return linkCounts.get(elem);
+  };
+
+  const getPath = elem => {
+    if (!paths.has(elem)) {
+      const nodes = [elem, ...$(elem).parents().toArray()]
+        .reverse()
+        .filter(node => node.tagName !== 'html');
+      // Wrappers above the outermost landmark often carry per-page-type
+      // classes (WordPress body.single, div.template-home), so only
+      // their tags count; body never keeps its classes. Without a
+      // landmark, every ancestor of the block is such a wrapper.
+      const firstLandmark = nodes.findIndex(node => $(node).is(LANDMARK_SELECTOR));
+      const keepClassesFrom = firstLandmark === -1 ? nodes.length - 1 : firstLandmark;
+      const steps = nodes.map((node, index) =>
+        node.tagName === 'body' || index < keepClassesFrom
+          ? (node.tagName || '').toLowerCase()
+          : describeStep($, node)
+      );
+      paths.set(elem, steps.join('>'));
+    }
+    return paths.get(elem);
+  };
+
+  return elem => {
+    if (!elem) return null;
+    for (const ancestor of $(elem).parents().toArray()) {
+      if (ancestor.tagName === 'body' || ancestor.tagName === 'html') break;
+      if ($(ancestor).is(LANDMARK_SELECTOR) || countLinks(ancestor) >= MIN_BLOCK_LINKS) {
+        return getPath(ancestor);
+      }
+    }
+    return 'body';
+  };
+}
+
+function describeStep($, node) {
+  const $node = $(node);
+  const tag = (node.tagName || '').toLowerCase();
+  const id = $node.attr('id');
+  const classes = ($node.attr('class') || '')
+    .split(/\s+/)
+    .filter(name => name && !/\d/.test(name) && !STATE_CLASSES.test(name))
+    .slice(0, MAX_CLASSES);
+  return [
+    tag,
+    id && !/\d/.test(id) ? `#${id}` : '',
+    ...classes.map(name => `.${name}`)
+  ].join('');
+}
+
+module.exports = { createBlockLocator };
@@ -1,8 +1,15 @@
+const { createFlowPatterns, matchFlowPattern } = require('./flowPatterns');
+const { findGoalPaths } = require('./goalPaths');
+
 /**
  * Extracts goal-oriented flows from analyzed pages.
  * Uses page types + link structure to build candidate paths.
+ *
+ * Goal flows come from declarative flow patterns (see flowPatterns.js);
+ * `options.flowPatterns` holds compiled patterns and defaults to the
+ * built-in ones. Each pattern flow records the `pattern` id it matched.
  */
-function extractFlows(analyzedPages, startUrl) {
+function extractFlows(analyzedPages, startUrl, options = {}) {
   if (!analyzedPages || !analyzedPages.length) return [];
   
   // Build complete graph first (we'll filter later)
@@ -19,12 +26,11 @@ function extractFlows(analyzedPages, startUrl) {
   // Extract flows using multiple strategies
   const flows = [];
   
-  // 1. Extract flows based on common patterns
+  // 1. Extract flows based on flow patterns
+  const patterns = options.flowPatterns || createFlowPatterns();
   const patternBasedFlows = [
-    ...extractCommonPatterns(graph, analyzedPages, entryPoints, 'ecommerce'),
-    ...extractCommonPatterns(graph, analyzedPages, entryPoints, 'auth'),
-    ...extractCommonPatterns(graph, analyzedPages, entryPoints, 'support'),
-    ...extractCommonPatterns(graph, analyzedPages, entryPoints, 'content')
+    ...extractPatternFlows(graph, entryPoints, patterns),
+    ...extractContentFlows(graph, analyzedPages, entryPoints)
   ];
   
   // 2. Extract structural flows (hub-and-spoke, linear paths)
@@ -43,6 +49,33 @@ function extractFlows(analyzedPages, startUrl) {
   return uniqueFlows;
 }
 
+/**
+ * The k best paths from the start page to each goal page type, as flows
+ * of type 'goal' with their `rank`, `cost` and `clicksToGoal`. These are
+ * exact answers and should not go through noise reduction.
+ */
+function extractGoalFlows(analyzedPages, startUrl, options = {}) {
+  const { goalTypes = [], k = 3 } = options;
+  if (!analyzedPages || !analyzedPages.length || goalTypes.length === 0) return [];
+
+  const graph = buildCompleteGraph(analyzedPages);
+  const entryUrl = graph.has(startUrl) ? startUrl : identifyEntryPoints(analyzedPages, null)[0];
+  if (!entryUrl) return [];
+
+  return findGoalPaths(graph, entryUrl, goalTypes, { k }).flatMap(({ goal, paths }) =>
+    paths.map(({ path, cost, clicks }, index) => ({
+      type: 'goal',
+      name: `Path ${index + 1} to ${goal}`,
+      goal,
+      rank: index + 1,
+      cost,
+      clicksToGoal: clicks,
+      path,
+      confidence: calculateFlowConfidence(graph, path)
+    }))
+  );
+}
+
 // Build directed graph from all pages/links.
 function buildCompleteGraph(analyzedPages) {
   const graph = new Map();
@@ -73,7 +106,9 @@ function buildCompleteGraph(analyzedPages) {
           text: link.text,
           targetType: targetNode.page?.pageType,
           linkType: link.linkType || 'contextual',
-          context: link.context || {}
+          navigationType: link.navigationType || 'link',
+          context: link.context || {},
+          prominence: link.prominence ? link.prominence.score : null
         };
         
         node.edges.push(edge);
@@ -95,8 +130,10 @@ function identifyEntryPoints(analyzedPages, startUrl) {
     entryPoints.add(startUrl);
   }
   
-  // 2. Homepage and root pages
+  // 2. Homepage and root pages (sitemap-seeded pages were never reached
+  // by navigation, so their seeded depth says nothing about entry points)
   analyzedPages.forEach(page => {
+    if (page.discovery === 'sitemap-seeded' && page.pageType !== 'home') return;
     if (
       page.pageType === 'home' || 
       page.depth === 0 || 
@@ -113,19 +150,16 @@ function identifyEntryPoints(analyzedPages, startUrl) {
 }
 
 // Pattern-based flows.
-function extractCommonPatterns(graph, analyzedPages, entryPoints, patternType) {
-  switch (patternType) {
-    case 'ecommerce':
-      return extractEcommerceFlows(graph, analyzedPages, entryPoints);
-    case 'auth':
-      return extractAuthFlows(graph, analyzedPages, entryPoints);
-    case 'support':
-      return extractSupportFlows(graph, analyzedPages, entryPoints);
-    case 'content':
-      return extractContentFlows(graph, analyzedPages, entryPoints);
-    default:
-      return [];
-  }
+function extractPatternFlows(graph, entryPoints, patterns) {
+  return patterns.flatMap(pattern =>
+    matchFlowPattern(graph, pattern, entryPoints).map(path => ({
+      type: pattern.type,
+      name: pattern.name,
+      pattern: pattern.id,
+      path,
+      confidence: calculateFlowConfidence(graph, path)
+    }))
+  );
 }
 
 // Linear flows (contextual links only).
@@ -261,7 +295,8 @@ function findConnectedPaths(graph, pageUrls, maxPathLength = 5) {
   return paths;
 }
 
-// Simple confidence scoring.
+// Simple confidence scoring. Measured CTA prominence (Playwright mode)
+// moves each edge's score up or down; unmeasured edges stay neutral.
 function calculateFlowConfidence(graph, path) {
   if (path.length < 2) return 0;
   
@@ -276,7 +311,7 @@ function calculateFlowConfidence(graph, path) {
     if (!node) continue;
     
     const nextUrl = path[i + 1];
-    const edge = node.edges.find(e => e.target === nextUrl);
+    const edge = findBestEdge(node, nextUrl);
     
     if (edge) {
       if (edge.linkType === 'contextual') {
@@ -284,11 +319,28 @@ function calculateFlowConfidence(graph, path) {
       } else if (edge.linkType === 'global') {
         totalScore += 0.1;
       }
+      if (edge.prominence !== null && edge.prominence !== undefined) {
+        totalScore += (edge.prominence - 0.5) * 0.2;
+      }
     }
   }
   
   // Normalize to 0-1 range
-  return Math.min(1, totalScore);
+  return Math.max(0, Math.min(1, totalScore));
+}
+
+// A page can link to the same target several times (header and hero):
+// prefer contextual links, then the most prominent one.
+function findBestEdge(node, target) {
+  return node.edges
+    .filter(e => e.target === target)
+    .reduce((best, edge) => {
+      if (!best) return edge;
+      if ((edge.linkType === 'contextual') !== (best.linkType === 'contextual')) {
+        return edge.linkType === 'contextual' ? edge : best;
+      }
+      return (edge.prominence ?? -1) > (best.prominence ?? -1) ? edge : best;
+    }, null);
 }
 
 // Remove duplicate/subpath flows.
@@ -303,9 +355,9 @@ function deduplicateFlows(flows) {
     // Skip if we've seen this exact path
     if (seen.has(key)) return;
     
-    // Check for sub-paths
+    // Check for sub-paths (flow pattern matches are kept whole)
     let isSubpath = false;
-    for (const existingKey of seen) {
+    for (const existingKey of flow.pattern ? [] : seen) {
       if (existingKey.includes(key) && existingKey !== key) {
         isSubpath = true;
         break;
@@ -322,101 +374,6 @@ function deduplicateFlows(flows) {
   return uniqueFlows.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
 }
 
-// Ecommerce flow: Home → Product List → Product Detail → Checkout
-function extractEcommerceFlows(graph, analyzedPages, entryPoints) {
-  const flows = [];
-  
-  entryPoints.forEach(entryUrl => {
-    const path = [];
-    const visited = new Set();
-    
-    // Try to find: entry → product-list → product-detail → checkout
-    const flow = findFlowByPageTypes(
-      graph,
-      entryUrl,
-      ['product-list', 'product-detail', 'checkout'],
-      visited,
-      path
-    );
-    
-    if (flow && flow.length >= 2) {
-      flows.push({
-        type: 'ecommerce',
-        name: 'Product Purchase Flow',
-        path: flow
-      });
-    }
-  });
-  
-  return flows;
-}
-
-// Auth flow: Home → Login/Signup
-function extractAuthFlows(graph, analyzedPages, entryPoints) {
-  const flows = [];
-  
-  entryPoints.forEach(entryUrl => {
-    const loginPages = analyzedPages.filter(p => p.pageType === 'login');
-    const signupPages = analyzedPages.filter(p => p.pageType === 'signup');
-    
-    loginPages.forEach(loginPage => {
-      if (graph.has(entryUrl)) {
-        const hasPath = graph.get(entryUrl).edges.some(e => e.target === loginPage.url);
-        if (hasPath) {
-          flows.push({
-            type: 'authentication',
-            name: 'Login Flow',
-            path: [entryUrl, loginPage.url]
-          });
-        }
-      }
-    });
-    
-    signupPages.forEach(signupPage => {
-      if (graph.has(entryUrl)) {
-        const hasPath = graph.get(entryUrl).edges.some(e => e.target === signupPage.url);
-        if (hasPath) {
-          flows.push({
-            type: 'authentication',
-            name: 'Signup Flow',
-            path: [entryUrl, signupPage.url]
-          });
-        }
-      }
-    });
-  });
-  
-  return flows;
-}
-
-// Support flow: Entry → Support → Contact
-function extractSupportFlows(graph, analyzedPages, entryPoints) {
-  const flows = [];
-  
-  entryPoints.forEach(entryUrl => {
-    const path = [];
-    const visited = new Set();
-    
-    const flow = findFlowByPageTypes(
-      graph,
-      entryUrl,
-      ['support', 'contact'],
-      visited,
-      path
-    );
-    
-    if (flow && flow.length >= 2) {
-      flows.push({
-        type: 'support',
-        name: 'Support Flow',
-        path: flow
-      });
-    }
-  });
-  
-  return flows;
-}
-
 // Generic content exploration flows.
 function extractContentFlows(graph, analyzedPages, entryPoints) {
   const flows = [];
@@ -493,63 +450,6 @@ function extractHubAndSpokeFlows(graph, analyzedPages, entryPoints) {
   return flows;
 }
 
-// Find flow visiting target page types in order.
-function findFlowByPageTypes(graph, startUrl, targetTypes, visited, path, currentPath = []) {
-  if (!graph.has(startUrl) || visited.has(startUrl)) {
-    return null;
-  }
-  
-  visited.add(startUrl);
-  currentPath.push(startUrl);
-  
-  const node = graph.get(startUrl);
-  const currentPageType = node.page.pageType;
-  
-  // Check if we've hit our next target type
-  if (targetTypes.length > 0 && currentPageType === targetTypes[0]) {
-    const remainingTypes = targetTypes.slice(1);
-    
-    if (remainingTypes.length === 0) {
-      // Found complete flow
-      return [...currentPath];
-    }
-    
-    // Continue looking for remaining types
-    for (const edge of node.edges) {
-      const result = findFlowByPageTypes(
-        graph,
-        edge.target,
-        remainingTypes,
-        new Set(visited),
-        path,
-        [...currentPath]
-      );
-      
-      if (result) {
-        return result;
-      }
-    }
-  } else {
-    // Keep searching
-    for (const edge of node.edges) {
-      const result = findFlowByPageTypes(
-        graph,
-        edge.target,
-        targetTypes,
-        new Set(visited),
-        path,
-        [...currentPath]
-      );
-      
-      if (result) {
-        return result;
-      }
-    }
-  }
-  
-  return null;
-}
-
 // Find linear paths (no branching) with min length.
 function findLinearPaths(graph, startUrl, visited, minLength, currentPath = []) {
   if (!graph.has(startUrl) || visited.has(startUrl)) {
@@ -580,4 +480,4 @@ function findLinearPaths(graph, startUrl, visited, minLength, currentPath = [])
   return paths;
 }
 
-module.exports = { extractFlows };
+module.exports = { extractFlows, extractGoalFlows };
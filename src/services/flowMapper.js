@@ -1,9 +1,24 @@
+const path = require('path');
 const { crawlWebsite } = require('./crawler');
 const { analyzePage } = require('./pageAnalyzer');
-const { classifyGlobalNavigation } = require('./globalNavDetector');
-const { extractFlows } = require('./flowExtractor');
+const { classifyGlobalNavigation, summarizeNavigation } = require('./globalNavDetector');
+const { extractFlows, extractGoalFlows } = require('./flowExtractor');
 const { reduceNoise } = require('./noiseReducer');
-const { formatOutput } = require('./outputFormatter');
+const { formatOutput, toTemplateOutput } = require('./outputFormatter');
+const { loadCheckpoint } = require('./crawlCheckpoint');
+const { createUrlFilter } = require('./crawlScope');
+const { createUrlNormalizer } = require('./urlNormalizer');
+const { createPageCache, getAuthIdentity } = require('./pageCache');
+const { validateLoginRecipe } = require('./loginRecipe');
+const { createScreenshotter } = require('./screenshotter');
+const { createPageTypeClassifier } = require('./pageTypeRules');
+const { createFlowPatterns } = require('./flowPatterns');
+const { foldLocaleVariants } = require('./localeFolding');
+const { clusterUrlTemplates } = require('./urlTemplates');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../output/page-cache');
+const DEFAULT_SCREENSHOT_DIR = path.join(__dirname, '../../output/screenshots');
+const DEFAULT_GOAL_PAGE_TYPES = ['checkout', 'signup', 'login', 'contact'];
 
 /**
  * Main orchestrator for the Intelligent User Flow Mapper
@@ -14,9 +29,73 @@ const { formatOutput } = require('./outputFormatter');
  * 3. Extract meaningful user flows
  * 4. Reduce noise (global nav, redundant paths)
  * 5. Format output for frontend consumption
+ *
+ * Crawl progress is checkpointed to `checkpointPath` when given. Passing a
+ * checkpoint (or its path) as `resumeFrom` restores the frontier and the
+ * fetched pages, then continues the pipeline from there.
+ *
+ * With `crawlConfig.incremental`, pages are cached in `cacheDir` and
+ * revalidated with conditional requests on the next run.
+ *
+ * `exportSessionPath` saves the authenticated session (Playwright storage
+ * state) after login, for reuse as `credentials.storageState`.
+ *
+ * With `crawlConfig.screenshots`, Playwright-rendered pages are captured
+ * into `screenshotDir`; node and step references are prefixed with
+ * `screenshotBaseUrl` when the files are served over HTTP.
+ *
+ * With `crawlConfig.foldLocales`, locale variants of a page (/de/..,
+ * /fr/.., hreflang alternates) are merged into one node before flows
+ * are extracted.
+ *
+ * Every page is assigned a URL template (/product/:slug). With
+ * `crawlConfig.outputMode: 'templates'`, nodes and flows are reported per
+ * template instead of per page.
+ *
+ * Goal flows follow the built-in flow patterns plus
+ * `crawlConfig.flowPatterns` (see flowPatterns.js).
+ *
+ * The `goalPathCount` cheapest paths from the start page to each of
+ * `crawlConfig.goalPageTypes` are added as 'goal' flows and summarized
+ * under `goals`.
+ *
+ * Global navigation is detected site-wide and per section
+ * (`crawlConfig.navSections`: 'path', 'template' or 'off'); the
+ * navigation sets are reported under `navigation`.
  */
-async function crawlAndExtractFlows({ startUrl, credentials, crawlConfig, abortSignal, onLog }) {
+async function crawlAndExtractFlows({
+  startUrl,
+  credentials,
+  crawlConfig,
+  abortSignal,
+  onLog,
+  checkpointPath = null,
+  resumeFrom = null,
+  cacheDir = DEFAULT_CACHE_DIR,
+  exportSessionPath = null,
+  screenshotDir = DEFAULT_SCREENSHOT_DIR,
+  screenshotBaseUrl = null
+}) {
+  const resumeState = typeof resumeFrom === 'string' ? await loadCheckpoint(resumeFrom) : resumeFrom;
+  const urlFilter = createUrlFilter({
+    includePatterns: crawlConfig?.includePatterns || [],
+    excludePatterns: crawlConfig?.excludePatterns || []
+  });
+  if (crawlConfig?.loginRecipe) {
+    validateLoginRecipe(crawlConfig.loginRecipe);
+  }
+  // Built before crawling so rule mistakes fail fast
+  const classifier = createPageTypeClassifier(crawlConfig?.pageTypeRules || [], {
+    replaceDefaults: crawlConfig?.replaceDefaultPageTypeRules ?? false
+  });
+  const flowPatterns = createFlowPatterns(crawlConfig?.flowPatterns || [], {
+    replaceDefaults: crawlConfig?.replaceDefaultFlowPatterns ?? false
+  });
+  // The crawler builds the same normalizer from `trackingParams`; every
+  // later step must dedupe and key URLs exactly as it did
+  const urlNormalizer = createUrlNormalizer({ trackingParams: crawlConfig?.trackingParams || [] });
   const authMode = crawlConfig?.authMode || (credentials ? 'auto' : 'none');
+  const crawlStats = { relogins: 0, failures: [] };
   const config = {
     maxDepth: crawlConfig?.maxDepth || 3,
     maxPages: crawlConfig?.maxPages || 50,
@@ -28,41 +107,138 @@ async function crawlAndExtractFlows({ startUrl, credentials, crawlConfig, abortS
     retryMaxMs: crawlConfig?.retryMaxMs || 5000,
     authMode,
     loginUrl: crawlConfig?.loginUrl || null,
+    loginRecipe: crawlConfig?.loginRecipe || null,
+    sessionCheck: crawlConfig?.sessionCheck ?? {},
+    maxRelogins: crawlConfig?.maxRelogins ?? 3,
+    crawlStats,
+    respectRobots: crawlConfig?.respectRobots ?? true,
+    useSitemaps: crawlConfig?.useSitemaps ?? false,
+    maxSitemapUrls: crawlConfig?.maxSitemapUrls || 500,
+    concurrency: crawlConfig?.concurrency || 4,
+    perHostConcurrency: crawlConfig?.perHostConcurrency || 2,
+    checkpointPath,
+    checkpointEvery: crawlConfig?.checkpointEvery || 10,
+    checkpointMeta: { startUrl, crawlConfig: crawlConfig || {} },
+    resumeState,
+    urlFilter: urlFilter.isActive ? urlFilter : null,
+    domainScope: crawlConfig?.domainScope || 'host',
+    allowedHosts: crawlConfig?.allowedHosts || [],
+    trackingParams: crawlConfig?.trackingParams || [],
+    honorCanonical: crawlConfig?.honorCanonical ?? true,
+    pageCache: crawlConfig?.incremental
+      ? createPageCache(cacheDir, { identity: getAuthIdentity(credentials, crawlConfig?.loginRecipe) })
+      : null,
+    exploreSpa: crawlConfig?.exploreSpa ?? false,
+    spaMaxClicks: crawlConfig?.spaMaxClicks || 20,
+    exploreForms: crawlConfig?.exploreForms ?? false,
+    formSampleValues: crawlConfig?.formSampleValues || {},
+    maxFormVariants: crawlConfig?.maxFormVariants || 5,
+    formPostAllowlist: crawlConfig?.formPostAllowlist || [],
+    maxPageBytes: crawlConfig?.maxPageBytes || 5 * 1024 * 1024,
+    screenshotter: crawlConfig?.screenshots
+      ? createScreenshotter(screenshotDir, {
+        baseUrl: screenshotBaseUrl,
+        thumbnailWidth: crawlConfig?.thumbnailWidth || 320,
+        fullPage: crawlConfig?.fullPageScreenshots ?? true
+      })
+      : null,
+    exportSessionPath,
     abortSignal,
     onLog
   };
 
+  if (config.screenshotter && config.rendering !== 'playwright') {
+    log(onLog, 'Screenshots are only captured for pages rendered with Playwright; set rendering to "playwright" to capture every page');
+  }
+
   throwIfAborted(abortSignal);
   log(onLog, 'Step 1: Crawling website...');
   const crawledPages = await crawlWebsite(startUrl, config, credentials);
   log(onLog, `Crawled ${crawledPages.length} pages`);
+  if (crawlStats.relogins > 0) {
+    log(onLog, `Re-authenticated ${crawlStats.relogins} time(s) after session expiry`);
+  }
 
   throwIfAborted(abortSignal);
   log(onLog, 'Step 2: Analyzing pages...');
-  const analyzedPagesRaw = crawledPages.map(page => analyzePage(page));
-  const analyzedPages = classifyGlobalNavigation(analyzedPagesRaw, { threshold: 0.6 });
-  log(onLog, `Analyzed ${analyzedPages.length} pages`);
+  // The crawler records pages under their canonical URL, which may differ
+  // from the start URL (example.com -> www.example.com)
+  const entryUrl = resolveEntryUrl(crawledPages, startUrl, urlNormalizer);
+  let analyzedPagesRaw = crawledPages.map(page => analyzePage(page, { classifier }));
+  let foldedLocaleVariants = 0;
+  if (crawlConfig?.foldLocales) {
+    const folded = foldLocaleVariants(analyzedPagesRaw, entryUrl, { urlNormalizer });
+    analyzedPagesRaw = folded.pages;
+    foldedLocaleVariants = folded.foldedCount;
+    log(onLog, `Folded ${foldedLocaleVariants} locale variant page(s)`);
+  }
+  const clustered = clusterUrlTemplates(analyzedPagesRaw, {
+    startUrl,
+    minInstances: crawlConfig?.templateMinInstances || 3,
+    similarityThreshold: crawlConfig?.templateSimilarity ?? 0.5
+  });
+  const analyzedPages = classifyGlobalNavigation(clustered.pages, {
+    threshold: 0.6,
+    sectionMode: crawlConfig?.navSections || 'path',
+    urlNormalizer
+  });
+  log(onLog, `Analyzed ${analyzedPages.length} pages (${clustered.templates.length} URL templates)`);
 
   throwIfAborted(abortSignal);
   log(onLog, 'Step 3: Extracting user flows...');
-  const rawFlows = extractFlows(analyzedPages, startUrl);
+  const rawFlows = extractFlows(analyzedPages, entryUrl, { flowPatterns });
   log(onLog, `Extracted ${rawFlows.length} raw flows`);
 
   throwIfAborted(abortSignal);
   log(onLog, 'Step 4: Reducing noise...');
   const cleanedFlows = reduceNoise(rawFlows, analyzedPages);
   log(onLog, `Cleaned to ${cleanedFlows.length} meaningful flows`);
+  const goalFlows = extractGoalFlows(analyzedPages, entryUrl, {
+    goalTypes: crawlConfig?.goalPageTypes || DEFAULT_GOAL_PAGE_TYPES,
+    k: crawlConfig?.goalPathCount || 3
+  });
+  log(onLog, `Found ${goalFlows.length} goal path(s)`);
 
   throwIfAborted(abortSignal);
   log(onLog, 'Step 5: Formatting output...');
-  const output = formatOutput(cleanedFlows, analyzedPages, startUrl);
+  const output = formatOutput([...cleanedFlows, ...goalFlows], analyzedPages, startUrl, {
+    failedFetches: crawlStats.failures.length,
+    urlRules: urlFilter.getReport(),
+    ...(crawlConfig?.foldLocales ? { foldedLocaleVariants } : {}),
+    ...(config.pageCache ? { cache: summarizeCacheStatus(crawledPages) } : {}),
+    ...(credentials || config.loginRecipe ? { auth: { relogins: crawlStats.relogins } } : {})
+  }, crawlStats.failures, urlNormalizer);
+  output.templates = clustered.templates;
+  output.navigation = summarizeNavigation(analyzedPages);
   log(onLog, 'Output formatted successfully');
 
-  return output;
+  return crawlConfig?.outputMode === 'templates'
+    ? toTemplateOutput(output, clustered.templates)
+    : output;
 }
 
 module.exports = { crawlAndExtractFlows };
 
+/**
+ * The URL the start page was recorded under: the navigated depth-0 page,
+ * whose URL may be its canonical rather than the start URL. Falls back
+ * to the normalized start URL when the start page was not recorded.
+ */
+function resolveEntryUrl(crawledPages, startUrl, urlNormalizer) {
+  const startPage = crawledPages.find(page => page.depth === 0 && page.discovery !== 'sitemap-seeded');
+  return startPage ? startPage.url : urlNormalizer.normalize(startUrl);
+}
+
+function summarizeCacheStatus(pages) {
+  const summary = { fresh: 0, changed: 0, unchanged: 0 };
+  pages.forEach(page => {
+    if (page.cacheStatus in summary) {
+      summary[page.cacheStatus] += 1;
+    }
+  });
+  return summary;
+}
+
 function throwIfAborted(abortSignal) {
   if (abortSignal?.aborted) {
     const error = new Error('Crawl cancelled');
@@ -0,0 +1,222 @@
+/**
+ * Registry of declarative flow patterns.
+ *
+ * A pattern is a sequence of page-type steps:
+ *
+ *   { id: 'trial', name: 'Free Trial', steps: ['home', 'pricing', 'signup', 'onboarding+'] }
+ *
+ * Steps are strings or objects:
+ * - 'pricing'            one page of that type
+ * - 'login|signup'       alternatives (any of the types)
+ * - 'pricing?'           optional step
+ * - 'product-detail+'    one or more consecutive matches
+ * - 'product-detail*'    optional and repeatable
+ * - { pageType: 'pricing' | ['pricing', 'plans'], optional, repeat, maxGap }
+ *
+ * `maxGap` (pattern-wide, default 0, or per step) is the number of
+ * unmatched pages allowed before a step, so 0 requires a direct link.
+ * With `start: 'entry'` paths begin at an entry point (home, start URL)
+ * whatever its type; with the default `start: 'any'` they begin at any
+ * page matching the first step. Every loopless matching path is returned,
+ * shortest first, up to `maxMatches` per pattern and `maxLength` pages
+ * per path. With `uniquePageTypes: true`, paths with the same page-type
+ * sequence count once.
+ *
+ * Built-in patterns replace the old hardcoded extractors; a custom
+ * pattern with the same id replaces a built-in one.
+ */
+
+const DEFAULT_FLOW_PATTERNS = [
+  { id: 'ecommerce', type: 'ecommerce', name: 'Product Purchase Flow', start: 'entry', steps: ['product-list', 'product-detail', 'checkout'], maxGap: 2 },
+  { id: 'login', type: 'authentication', name: 'Login Flow', start: 'entry', steps: ['login'] },
+  { id: 'signup', type: 'authentication', name: 'Signup Flow', start: 'entry', steps: ['signup'] },
+  { id: 'support', type: 'support', name: 'Support Flow', start: 'entry', steps: ['support', 'contact'], maxGap: 2 }
+];
+
+const DEFAULT_MAX_MATCHES = 10;
+const DEFAULT_MAX_LENGTH = 10;
+// Expansion budget per pattern and start page; gaps can make the search explode
+const MAX_EXPANSIONS = 20000;
+const STEP_PATTERN = /^([\w-]+(?:\|[\w-]+)*)([?+*]?)$/;
+
+/**
+ * Compiles config patterns on top of the defaults (unless
+ * `replaceDefaults`). Throws on invalid patterns so mistakes fail before
+ * the crawl starts.
+ */
+function createFlowPatterns(customPatterns = [], options = {}) {
+  const { replaceDefaults = false } = options;
+  if (!Array.isArray(customPatterns)) {
+    throw new Error('flowPatterns must be an array');
+  }
+  const custom = customPatterns.map((pattern, index) => compilePattern(pattern, index));
+  const customIds = new Set(custom.map(pattern => pattern.id));
+  const defaults = replaceDefaults
+    ? []
+    : DEFAULT_FLOW_PATTERNS
+      .filter(pattern => !customIds.has(pattern.id))
+      .map((pattern, index) => compilePattern(pattern, index));
+  return [...custom, ...defaults];
+}
+
+/**
+ * Returns the paths in the graph matching the compiled pattern, as
+ * arrays of URLs ordered by length.
+ *
+ * Each start page is searched breadth-first, so direct paths are found
+ * before detours through gap pages. The shortest matches of all start
+ * pages are then merged (one path per page-type sequence with
+ * `uniquePageTypes`).
+ */
+function matchFlowPattern(graph, pattern, entryPoints = []) {
+  const maxStepGap = Math.max(...pattern.steps.map(step => step.maxGap));
+  const typeOf = url => graph.get(url)?.page?.pageType;
+  const isComplete = index => index >= 0 && pattern.steps.slice(index + 1).every(step => step.optional);
+
+  // Steps that may match next after step `index` (-1: nothing matched yet)
+  const nextSteps = index => {
+    const candidates = [];
+    if (index >= 0 && pattern.steps[index].repeat) candidates.push(index);
+    for (let j = index + 1; j < pattern.steps.length; j++) {
+      candidates.push(j);
+      if (!pattern.steps[j].optional) break;
+    }
+    return candidates;
+  };
+
+  const startStates = url => {
+    const states = nextSteps(-1)
+      .filter(j => pattern.steps[j].pageTypes.includes(typeOf(url)))
+      .map(j => ({ index: j, gap: 0 }));
+    if (pattern.start === 'entry') states.push({ index: -1, gap: 0 });
+    return states;
+  };
+
+  const starts = pattern.start === 'entry'
+    ? entryPoints.filter(url => graph.has(url))
+    : Array.from(graph.keys());
+
+  const matches = [];
+  const seen = new Set();
+  const typeSequences = new Set();
+  const emit = (path, found) => {
+    const key = path.join('→');
+    const typeKey = path.map(url => typeOf(url) || 'unknown').join('→');
+    if (seen.has(key)) return;
+    if (pattern.uniquePageTypes && typeSequences.has(typeKey)) return;
+    seen.add(key);
+    typeSequences.add(typeKey);
+    found.push(path);
+  };
+
+  for (const startUrl of starts) {
+    let budget = MAX_EXPANSIONS;
+    const found = [];
+    const queue = startStates(startUrl).map(state => ({ ...state, path: [startUrl] }));
+
+    // FIFO by index: states come out in order of path length
+    for (let head = 0; head < queue.length && found.length < pattern.maxMatches && budget > 0; head++) {
+      budget -= 1;
+      const { path, index, gap } = queue[head];
+      queue[head] = null;
+      if (gap === 0 && path.length >= 2 && isComplete(index)) emit(path, found);
+      if (path.length >= pattern.maxLength) continue;
+
+      const candidates = nextSteps(index);
+      if (candidates.length === 0) continue;
+      const node = graph.get(path[path.length - 1]);
+
+      new Set((node?.edges || []).map(edge => edge.target)).forEach(target => {
+        if (path.includes(target) || !graph.has(target)) return;
+        const targetType = typeOf(target);
+        const nextPath = [...path, target];
+
+        candidates.forEach(j => {
+          const step = pattern.steps[j];
+          if (gap <= step.maxGap && step.pageTypes.includes(targetType)) {
+            queue.push({ path: nextPath, index: j, gap: 0 });
+          }
+        });
+        if (gap < maxStepGap) {
+          queue.push({ path: nextPath, index, gap: gap + 1 });
+        }
+      });
+    }
+    matches.push(...found);
+  }
+
+  // Stable sort: equal lengths keep start-page order
+  return matches
+    .sort((a, b) => a.length - b.length)
+    .slice(0, pattern.maxMatches);
+}
+
+function compilePattern(pattern, index) {
+  if (!pattern || typeof pattern !== 'object') {
+    throw new Error(`Flow pattern ${index + 1}: must be an object`);
+  }
+  const id = pattern.id || `pattern-${index + 1}`;
+  if (!Array.isArray(pattern.steps) || pattern.steps.length === 0) {
+    throw new Error(`Flow pattern ${id}: steps must be a non-empty array`);
+  }
+  const maxGap = toNonNegativeInteger(pattern.maxGap, 0, id, 'maxGap');
+  const steps = pattern.steps.map(step => compileStep(step, maxGap, id));
+  if (steps.every(step => step.optional)) {
+    throw new Error(`Flow pattern ${id}: at least one step must be required`);
+  }
+  const start = pattern.start || 'any';
+  if (!['any', 'entry'].includes(start)) {
+    throw new Error(`Flow pattern ${id}: start must be "any" or "entry"`);
+  }
+
+  return {
+    id,
+    name: pattern.name || `${id} Flow`,
+    type: pattern.type || 'custom',
+    start,
+    steps,
+    maxMatches: toNonNegativeInteger(pattern.maxMatches, DEFAULT_MAX_MATCHES, id, 'maxMatches'),
+    maxLength: toNonNegativeInteger(pattern.maxLength, DEFAULT_MAX_LENGTH, id, 'maxLength'),
+    uniquePageTypes: Boolean(pattern.uniquePageTypes)
+  };
+}
+
+function compileStep(step, defaultGap, id) {
+  if (typeof step === 'string') {
+    const match = step.trim().match(STEP_PATTERN);
+    if (!match) {
+      throw new Error(`Flow pattern ${id}: invalid step ${JSON.stringify(step)}`);
+    }
+    return {
+      pageTypes: match[1].split('|'),
+      optional: match[2] === '?' || match[2] === '*',
+      repeat: match[2] === '+' || match[2] === '*',
+      maxGap: defaultGap
+    };
+  }
+
+  const pageTypes = Array.isArray(step?.pageType) ? step.pageType : [step?.pageType];
+  if (pageTypes.length === 0 || !pageTypes.every(type => typeof type === 'string' && type)) {
+    throw new Error(`Flow pattern ${id}: every step needs a pageType`);
+  }
+  return {
+    pageTypes,
+    optional: Boolean(step.optional),
+    repeat: Boolean(step.repeat),
+    maxGap: toNonNegativeInteger(step.maxGap, defaultGap, id, 'maxGap')
+  };
+}
+
+function toNonNegativeInteger(value, fallback, id, name) {
+  if (value === undefined || value === null) return fallback;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Flow pattern ${id}: ${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+module.exports = {
+  createFlowPatterns,
+  matchFlowPattern,
+  DEFAULT_FLOW_PATTERNS
+};
@@ -0,0 +1,202 @@
+const { URL } = require('url');
+
+/**
+ * Turns search and filter forms into crawlable result URLs.
+ *
+ * GET forms are never actually submitted: a browser would navigate to
+ * `action?field=value...`, so the URL is built from the form's fields.
+ * - text / search inputs get sample values (`sampleValues[name]`, or
+ *   `sampleValues.search` for search-like fields)
+ * - hidden inputs, checked boxes and selected options keep their values
+ * - unchecked facet checkboxes and other select options become extra
+ *   variants, up to `maxVariants` URLs per form
+ *
+ * POST forms are only returned when `isPostAllowed(actionUrl)` is true;
+ * the caller decides how to submit them. Forms with password or file
+ * inputs, and forms that look like login, signup or destructive actions,
+ * are always skipped.
+ */
+const UNSAFE_FORM_PATTERN = /log\s?in|sign\s?in|sign\s?up|register|log\s?out|sign\s?out|subscribe|newsletter|delete|remove|checkout|payment|place order|purchase/i;
+
+const SEARCH_FIELD_NAMES = new Set(['q', 's', 'query', 'search', 'keyword', 'keywords', 'term', 'terms', 'k']);
+
+const DEFAULT_SEARCH_VALUE = 'test';
+
+function collectFormSubmissions($, pageUrl, options = {}) {
+  const { sampleValues = {}, maxVariants = 5, isPostAllowed = () => false } = options;
+  const submissions = [];
+
+  $('form').each((i, elem) => {
+    const $form = $(elem);
+    const method = ($form.attr('method') || 'GET').toUpperCase();
+    if (!['GET', 'POST'].includes(method)) return;
+
+    let actionUrl;
+    try {
+      actionUrl = new URL($form.attr('action') || pageUrl, pageUrl);
+    } catch {
+      return;
+    }
+    if (!['http:', 'https:'].includes(actionUrl.protocol)) return;
+    if (method === 'POST' && !isPostAllowed(actionUrl.href)) return;
+
+    const submitText = getSubmitText($, $form);
+    if (!isSafeForm($form, actionUrl, submitText)) return;
+
+    const variants = buildVariants($, $form, sampleValues, maxVariants);
+    variants.forEach(fields => {
+      const submission = {
+        elem,
+        method,
+        action: stripQueryForGet(actionUrl, method),
+        fields,
+        text: describeSubmission(submitText, fields)
+      };
+      if (method === 'GET') {
+        const target = new URL(actionUrl.href);
+        target.search = new URLSearchParams(fields).toString();
+        target.hash = '';
+        submission.href = target.href;
+      }
+      submissions.push(submission);
+    });
+  });
+
+  return submissions;
+}
+
+function isSafeForm($form, actionUrl, submitText) {
+  if ($form.find('input[type="password"], input[type="file"]').length > 0) return false;
+  if (UNSAFE_FORM_PATTERN.test(actionUrl.pathname) || UNSAFE_FORM_PATTERN.test(submitText)) return false;
+  const formLabel = [$form.attr('id'), $form.attr('name'), $form.attr('class'), $form.attr('aria-label')]
+    .filter(Boolean)
+    .join(' ');
+  return !UNSAFE_FORM_PATTERN.test(formLabel);
+}
+
+/**
+ * Builds the field lists to submit: the form's default state first, then
+ * one variant per alternative select option, facet checkbox or extra
+ * sample value. Returns [] when a required field can't be filled.
+ */
+function buildVariants($, $form, sampleValues, maxVariants) {
+  const base = [];
+  const alternatives = [];
+  const seenRadios = new Set();
+  let fillable = true;
+
+  $form.find('input, select, textarea').each((i, elem) => {
+    const $field = $(elem);
+    const name = $field.attr('name');
+    if (!name || $field.attr('disabled') !== undefined) return;
+
+    const tag = elem.tagName.toLowerCase();
+    const type = ($field.attr('type') || (tag === 'input' ? 'text' : tag)).toLowerCase();
+    const index = base.length;
+
+    if (['submit', 'button', 'reset', 'image'].includes(type)) {
+      return;
+    }
+
+    if (type === 'hidden') {
+      base.push([name, $field.attr('value') || '']);
+      return;
+    }
+
+    if (type === 'checkbox') {
+      const value = $field.attr('value') || 'on';
+      if ($field.attr('checked') !== undefined) {
+        base.push([name, value]);
+      } else {
+        alternatives.push(fields => [...fields, [name, value]]);
+      }
+      return;
+    }
+
+    if (type === 'radio') {
+      if (seenRadios.has(name)) return;
+      seenRadios.add(name);
+      const $group = $form.find(`input[type="radio"][name="${name.replace(/"/g, '\\"')}"]`);
+      const $checked = $group.filter('[checked]').first();
+      base.push([name, ($checked.length ? $checked : $group.first()).attr('value') || 'on']);
+      return;
+    }
+
+    if (tag === 'select') {
+      const options = $field.find('option').toArray()
+        .map(option => $(option).attr('value') ?? $(option).text().trim());
+      const $selected = $field.find('option[selected]').first();
+      const selected = $selected.length ? ($selected.attr('value') ?? $selected.text().trim()) : options[0];
+      if (selected === undefined) return;
+      base.push([name, selected]);
+      options
+        .filter(value => value && value !== selected)
+        .forEach(value => alternatives.push(fields => replaceField(fields, index, value)));
+      return;
+    }
+
+    const samples = getSampleValues(name, type, sampleValues);
+    if (samples.length > 0) {
+      base.push([name, samples[0]]);
+      samples.slice(1).forEach(value => alternatives.push(fields => replaceField(fields, index, value)));
+      return;
+    }
+
+    const current = tag === 'textarea' ? $field.text() : $field.attr('value');
+    if (!current && $field.attr('required') !== undefined) {
+      fillable = false;
+      return;
+    }
+    base.push([name, current || '']);
+  });
+
+  const submitter = $form.find('button[name], input[type="submit"][name]').first();
+  if (submitter.length) {
+    base.push([submitter.attr('name'), submitter.attr('value') || '']);
+  }
+
+  if (!fillable || base.length === 0) return [];
+
+  const variants = [base, ...alternatives.map(apply => apply(base))];
+  return variants.slice(0, Math.max(1, maxVariants));
+}
+
+function getSampleValues(name, type, sampleValues) {
+  const configured = sampleValues[name] ?? (isSearchField(name, type) ? sampleValues.search ?? DEFAULT_SEARCH_VALUE : undefined);
+  if (configured === undefined || configured === null) return [];
+  return (Array.isArray(configured) ? configured : [configured]).map(String);
+}
+
+function isSearchField(name, type) {
+  return type === 'search' || SEARCH_FIELD_NAMES.has(name.toLowerCase());
+}
+
+function replaceField(fields, index, value) {
+  return fields.map((field, i) => (i === index ? [field[0], value] : field));
+}
+
+function getSubmitText($, $form) {
+  const $submit = $form.find('button[type="submit"], button:not([type]), input[type="submit"]').first();
+  return ($submit.text().trim() || $submit.attr('value') || $submit.attr('aria-label') || '').slice(0, 100);
+}
+
+function describeSubmission(submitText, fields) {
+  const filled = fields
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}=${value}`)
+    .slice(0, 3)
+    .join(', ');
+  const label = submitText || 'Submit';
+  return filled ? `${label} (${filled})` : label;
+}
+
+// GET submissions replace the action's query string entirely
+function stripQueryForGet(actionUrl, method) {
+  if (method !== 'GET') return actionUrl.href;
+  const copy = new URL(actionUrl.href);
+  copy.search = '';
+  copy.hash = '';
+  return copy.href;
+}
+
+module.exports = { collectFormSubmissions };
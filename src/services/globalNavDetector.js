@@ -1,50 +1,87 @@
 const { URL } = require('url');
+const { createUrlNormalizer } = require('./urlNormalizer');
 
 /**
- * Detects global navigation links based on frequency across pages.
- * Links that appear on most pages are likely global nav and should
- * be excluded from contextual flow extraction.
+ * Detects global navigation from repeated DOM blocks.
+ *
+ * Every link carries the structural path of the block it sits in (see
+ * domBlocks.js). A block is a repeated template block when:
+ * - its path occurs on at least `threshold` of the pages, and
+ * - its link set is stable across those pages: the average Jaccard
+ *   overlap between each occurrence and the block's usual links (those
+ *   present in at least half of the occurrences) is `minLinkOverlap` or
+ *   more. A "related products" box at the same path fails this check.
+ *
+ * Only links inside repeated blocks are global, so a "Pricing" link in
+ * the header is global while the same link in a hero CTA stays
+ * contextual. Crawls with fewer than `minPages` HTML pages, crawls where
+ * no block repeats site-wide, and links without block information (e.g.
+ * from older checkpoints) fall back to the header/nav/footer context
+ * heuristics.
+ *
+ * Blocks are counted site-wide and again per section, so a /docs
+ * sidebar that appears on every docs page (and nowhere else) is global
+ * within /docs. Sections are the first path segment (`sectionMode:
+ * 'path'`) or the page's URL template (`'template'`); `'off'` disables
+ * them. Sections with fewer than `minPages` pages are skipped.
+ *
+ * Thresholds adapt to the number of pages `n` being compared:
+ * `threshold + (1 - threshold) * min(1, 2 / n)`. A block must appear on
+ * every page of a 2-page section but only on ~62% of 100 pages.
+ *
+ * Global links record their `navScope` ('site' or the section id). Each
+ * analyzed page gets `templateBlocks` (the repeated block paths it
+ * contains) and `navSection`.
+ *
+ * Link URLs are compared with the crawl's `urlNormalizer` (see
+ * createUrlNormalizer), ignoring the query string.
  */
 function classifyGlobalNavigation(analyzedPages, options = {}) {
   const threshold = options.threshold ?? 0.6;
-  const totalPages = analyzedPages.length || 1;
+  const minLinkOverlap = options.minLinkOverlap ?? 0.5;
+  const minPages = options.minPages ?? 3;
+  const sectionMode = options.sectionMode ?? 'path';
+  const urlNormalizer = options.urlNormalizer ?? createUrlNormalizer();
+  // Documents have no links, so they must not dilute block frequencies
+  const htmlPages = analyzedPages.filter(page => page.pageType !== 'document');
+  const enoughPages = htmlPages.length >= minPages;
+  const siteBlocks = enoughPages
+    ? findRepeatedBlocks(htmlPages, adaptiveThreshold(threshold, htmlPages.length), minLinkOverlap, urlNormalizer)
+    : new Set();
 
-  const linkCounts = new Map();
-
-  analyzedPages.forEach(page => {
-    const uniqueLinks = new Set();
-    (page.links?.all || []).forEach(link => {
-      const normalized = normalizeUrl(link.href);
-      if (normalized) uniqueLinks.add(normalized);
-    });
-
-    uniqueLinks.forEach(href => {
-      linkCounts.set(href, (linkCounts.get(href) || 0) + 1);
+  const sectionOf = page => (sectionMode === 'off' ? null : getSectionId(page, sectionMode));
+  const sectionBlocks = new Map();
+  if (enoughPages && sectionMode !== 'off') {
+    groupBy(htmlPages, sectionOf).forEach((pages, section) => {
+      if (!section || pages.length < minPages || pages.length === htmlPages.length) return;
+      const blocks = findRepeatedBlocks(pages, adaptiveThreshold(threshold, pages.length), minLinkOverlap, urlNormalizer);
+      siteBlocks.forEach(block => blocks.delete(block));
+      if (blocks.size > 0) sectionBlocks.set(section, blocks);
     });
-  });
-
-  const globalHrefSet = new Set();
-  linkCounts.forEach((count, href) => {
-    if (count / totalPages >= threshold) {
-      globalHrefSet.add(href);
-    }
-  });
+  }
+  // No repeated block anywhere means block paths are unreliable on this
+  // site, so the context heuristics decide instead
+  const useBlocks = siteBlocks.size > 0 || sectionBlocks.size > 0;
 
-  // Reclassify links using both context and frequency signals
+  // Reclassify links using block and context signals
   return analyzedPages.map(page => {
     const global = [];
     const contextual = [];
+    const section = sectionOf(page);
+    const localBlocks = sectionBlocks.get(section) || new Set();
 
     (page.links?.all || []).forEach(link => {
-      const normalized = normalizeUrl(link.href);
-      const isGlobalByFrequency = normalized && globalHrefSet.has(normalized);
-      const isGlobalByContext = Boolean(link.context?.isGlobalNav);
+      const hasBlock = useBlocks && Boolean(link.block);
+      const isSiteBlock = hasBlock && siteBlocks.has(link.block);
+      const isSectionBlock = hasBlock && !isSiteBlock && localBlocks.has(link.block);
+      const isGlobalByContext = !hasBlock && Boolean(link.context?.isGlobalNav);
 
-      if (isGlobalByFrequency || isGlobalByContext) {
+      if (isSiteBlock || isSectionBlock || isGlobalByContext) {
         global.push({
           ...link,
           linkType: 'global',
-          globalReason: isGlobalByFrequency ? 'frequency' : 'context'
+          globalReason: isGlobalByContext ? 'context' : 'block',
+          navScope: isSectionBlock ? section : 'site'
         });
       } else {
         contextual.push({
@@ -56,6 +93,8 @@ function classifyGlobalNavigation(analyzedPages, options = {}) {
 
     return {
       ...page,
+      navSection: section,
+      templateBlocks: Array.from(new Set(global.filter(link => link.globalReason === 'block').map(link => link.block))),
       links: {
         ...page.links,
         global,
@@ -65,17 +104,145 @@ function classifyGlobalNavigation(analyzedPages, options = {}) {
   });
 }
 
-function normalizeUrl(href) {
+/**
+ * Per-scope navigation sets for the output: for the site and for each
+ * section, every repeated block with the links it usually holds (those
+ * on at least half of the pages where the block appears).
+ */
+function summarizeNavigation(classifiedPages) {
+  const scopes = new Map();
+
+  classifiedPages.forEach(page => {
+    const seen = new Set();
+    (page.links?.global || []).forEach(link => {
+      if (link.globalReason !== 'block') return;
+      const scopeKey = link.navScope;
+      if (!scopes.has(scopeKey)) scopes.set(scopeKey, { blocks: new Map() });
+      const scope = scopes.get(scopeKey);
+
+      if (!scope.blocks.has(link.block)) scope.blocks.set(link.block, { pages: new Set(), links: new Map() });
+      const block = scope.blocks.get(link.block);
+      block.pages.add(page.url);
+
+      const key = `${link.block}|${link.href}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      const entry = block.links.get(link.href) || { href: link.href, text: link.text || null, count: 0 };
+      entry.count += 1;
+      block.links.set(link.href, entry);
+    });
+  });
+
+  const describeBlocks = scope => Array.from(scope.blocks.entries()).map(([path, block]) => ({
+    block: path,
+    pageCount: block.pages.size,
+    links: Array.from(block.links.values())
+      .filter(entry => entry.count / block.pages.size >= 0.5)
+      .map(({ href, text }) => ({ href, text }))
+  }));
+
+  const site = scopes.get('site');
+  return {
+    site: site ? describeBlocks(site) : [],
+    sections: Array.from(scopes.entries())
+      .filter(([key]) => key !== 'site')
+      .map(([key, scope]) => ({
+        section: key,
+        pageCount: classifiedPages.filter(page => page.navSection === key).length,
+        blocks: describeBlocks(scope)
+      }))
+  };
+}
+
+/**
+ * Returns the set of block paths that repeat across pages with a stable
+ * link set.
+ */
+function findRepeatedBlocks(pages, threshold, minLinkOverlap, urlNormalizer) {
+  // block path -> one link set per page the block occurs on
+  const occurrences = new Map();
+
+  pages.forEach(page => {
+    const blocks = new Map();
+    (page.links?.all || []).forEach(link => {
+      const normalized = toLinkKey(link.href, urlNormalizer);
+      if (!link.block || !normalized) return;
+      if (!blocks.has(link.block)) blocks.set(link.block, new Set());
+      blocks.get(link.block).add(normalized);
+    });
+    blocks.forEach((hrefs, block) => {
+      if (!occurrences.has(block)) occurrences.set(block, []);
+      occurrences.get(block).push(hrefs);
+    });
+  });
+
+  const repeated = new Set();
+  occurrences.forEach((linkSets, block) => {
+    if (linkSets.length / pages.length < threshold) return;
+    if (getLinkSetStability(linkSets) >= minLinkOverlap) {
+      repeated.add(block);
+    }
+  });
+  return repeated;
+}
+
+function getLinkSetStability(linkSets) {
+  const counts = new Map();
+  linkSets.forEach(hrefs => {
+    hrefs.forEach(href => counts.set(href, (counts.get(href) || 0) + 1));
+  });
+  const usual = new Set(
+    Array.from(counts.entries())
+      .filter(([, count]) => count / linkSets.length >= 0.5)
+      .map(([href]) => href)
+  );
+  if (usual.size === 0) return 0;
+
+  const total = linkSets.reduce((sum, hrefs) => {
+    let shared = 0;
+    hrefs.forEach(href => {
+      if (usual.has(href)) shared += 1;
+    });
+    return sum + shared / (hrefs.size + usual.size - shared);
+  }, 0);
+  return total / linkSets.length;
+}
+
+function adaptiveThreshold(base, pageCount) {
+  return base + (1 - base) * Math.min(1, 2 / Math.max(pageCount, 1));
+}
+
+// 'example.com/docs' for path sections, or the page's URL template
+function getSectionId(page, sectionMode) {
+  if (sectionMode === 'template') return page.templateId || null;
+  try {
+    const urlObj = new URL(page.url);
+    const segment = urlObj.pathname.split('/').filter(Boolean)[0];
+    return segment ? `${urlObj.host}/${segment}` : null;
+  } catch {
+    return null;
+  }
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+// Query strings are ignored so that /list?page=2 counts as /list
+function toLinkKey(href, urlNormalizer) {
   try {
-    const urlObj = new URL(href);
-    urlObj.hash = '';
+    const urlObj = new URL(urlNormalizer.normalize(href));
     urlObj.search = '';
-    const normalizedPath = urlObj.pathname.replace(/\/+$/, '');
-    urlObj.pathname = normalizedPath || '/';
-    return urlObj.toString();
+    return urlObj.href;
   } catch {
     return null;
   }
 }
 
-module.exports = { classifyGlobalNavigation };
+module.exports = { classifyGlobalNavigation, summarizeNavigation };
@@ -0,0 +1,197 @@
+/**
+ * Goal-directed path search: the k cheapest loopless paths from an entry
+ * page to pages of each goal type, found with Yen's algorithm on top of
+ * Dijkstra.
+ *
+ * Every click costs about 1, so the cheapest paths are the shortest ones.
+ * Costs are adjusted by link type and measured CTA prominence:
+ * - contextual links cost 1, global navigation links 1.3
+ * - prominence p (0-1, Playwright mode) multiplies the cost by
+ *   1.25 - 0.5 * p, so a prominent hero CTA (0.75x) beats a buried
+ *   footer link (1.25x); unmeasured links stay at 1x
+ * Parallel links between two pages use the cheapest one.
+ */
+const GLOBAL_LINK_COST = 1.3;
+
+/**
+ * Returns one entry per goal type with at least one reachable page:
+ * { goal, paths: [{ path, cost, clicks }] }, paths ordered by cost.
+ */
+function findGoalPaths(graph, sourceUrl, goalTypes, options = {}) {
+  const { k = 3 } = options;
+  const adjacency = buildAdjacency(graph);
+  if (!adjacency.has(sourceUrl)) return [];
+
+  return goalTypes
+    .map(goal => {
+      const targets = new Set(
+        Array.from(graph.entries())
+          .filter(([url, node]) => node.page?.pageType === goal && url !== sourceUrl)
+          .map(([url]) => url)
+      );
+      if (targets.size === 0) return { goal, paths: [] };
+      return { goal, paths: findKShortestPaths(adjacency, sourceUrl, targets, k) };
+    })
+    .filter(result => result.paths.length > 0);
+}
+
+function edgeCost(edge) {
+  const base = edge.linkType === 'global' ? GLOBAL_LINK_COST : 1;
+  const prominence = edge.prominence;
+  return prominence === null || prominence === undefined ? base : base * (1.25 - 0.5 * prominence);
+}
+
+// url -> Map(target -> cheapest edge cost)
+function buildAdjacency(graph) {
+  const adjacency = new Map();
+  graph.forEach((node, url) => {
+    const targets = new Map();
+    node.edges.forEach(edge => {
+      if (edge.target === url || !graph.has(edge.target)) return;
+      const cost = edgeCost(edge);
+      if (!targets.has(edge.target) || cost < targets.get(edge.target)) {
+        targets.set(edge.target, cost);
+      }
+    });
+    adjacency.set(url, targets);
+  });
+  return adjacency;
+}
+
+/**
+ * Yen's algorithm with a set of targets: a path ends at the first goal
+ * page it reaches.
+ */
+function findKShortestPaths(adjacency, source, targets, k) {
+  const first = shortestPath(adjacency, source, targets, new Set(), new Set());
+  if (!first) return [];
+
+  const accepted = [first];
+  const candidates = [];
+  const known = new Set([first.path.join('→')]);
+
+  while (accepted.length < k) {
+    const previous = accepted[accepted.length - 1].path;
+
+    for (let i = 0; i < previous.length - 1; i++) {
+      const spurNode = previous[i];
+      const rootPath = previous.slice(0, i + 1);
+
+      // Force a deviation from every accepted path sharing this root
+      const removedEdges = new Set();
+      accepted.forEach(({ path }) => {
+        if (path.length > i + 1 && rootPath.every((url, index) => path[index] === url)) {
+          removedEdges.add(`${path[i]}→${path[i + 1]}`);
+        }
+      });
+      const removedNodes = new Set(rootPath.slice(0, -1));
+
+      const spur = shortestPath(adjacency, spurNode, targets, removedNodes, removedEdges);
+      if (!spur) continue;
+
+      const path = [...rootPath.slice(0, -1), ...spur.path];
+      const key = path.join('→');
+      if (known.has(key)) continue;
+      known.add(key);
+      candidates.push({ path, cost: getPathCost(adjacency, path) });
+    }
+
+    if (candidates.length === 0) break;
+    // Cheapest candidate next; fewer clicks break ties
+    candidates.sort((a, b) => a.cost - b.cost || a.path.length - b.path.length);
+    accepted.push(candidates.shift());
+  }
+
+  return accepted.map(({ path, cost }) => ({
+    path,
+    cost: Math.round(cost * 100) / 100,
+    clicks: path.length - 1
+  }));
+}
+
+/**
+ * Dijkstra from `source` to the nearest page in `targets`, skipping
+ * removed nodes and edges. Returns { path, cost } or null.
+ */
+function shortestPath(adjacency, source, targets, removedNodes, removedEdges) {
+  const distances = new Map([[source, 0]]);
+  const previous = new Map();
+  const settled = new Set();
+  const heap = createMinHeap();
+  heap.push(0, source);
+
+  while (heap.size() > 0) {
+    const { priority, value: url } = heap.pop();
+    if (settled.has(url)) continue;
+    settled.add(url);
+
+    if (url !== source && targets.has(url)) {
+      const path = [url];
+      while (previous.has(path[0])) path.unshift(previous.get(path[0]));
+      return { path, cost: priority };
+    }
+
+    (adjacency.get(url) || new Map()).forEach((cost, target) => {
+      if (settled.has(target) || removedNodes.has(target) || removedEdges.has(`${url}→${target}`)) return;
+      const distance = priority + cost;
+      if (!distances.has(target) || distance < distances.get(target)) {
+        distances.set(target, distance);
+        previous.set(target, url);
+        heap.push(distance, target);
+      }
+    });
+  }
+
+  return null;
+}
+
+function getPathCost(adjacency, path) {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    cost += adjacency.get(path[i]).get(path[i + 1]);
+  }
+  return cost;
+}
+
+// Binary min-heap of { priority, value }
+function createMinHeap() {
+  const items = [];
+  const swap = (a, b) => {
+    [items[a], items[b]] = [items[b], items[a]];
+  };
+
+  return {
+    size: () => items.length,
+    push(priority, value) {
+      items.push({ priority, value });
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent].priority <= items[index].priority) break;
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+          if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+          if (smallest === index) break;
+          swap(smallest, index);
+          index = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+module.exports = { findGoalPaths };
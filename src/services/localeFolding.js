@@ -0,0 +1,142 @@
+const { URL } = require('url');
+const { createUrlNormalizer } = require('./urlNormalizer');
+const { getLocalePrefix } = require('./localeKeywords');
+
+/**
+ * Folds locale variants of the same page (/de/warenkorb, /fr/panier,
+ * /cart) into a single analyzed page so flows are not repeated once
+ * per language.
+ *
+ * Two pages are variants when either lists the other as an hreflang
+ * alternate, or when their URLs are equal after removing a leading
+ * locale segment (/de/about and /about).
+ *
+ * Each group keeps one representative, preferring the start page's
+ * language, then a URL without locale prefix, then the shallowest page.
+ * Links to any variant are rewritten to the representative and its
+ * links are merged with those of the folded variants. Representatives
+ * get `locales: [{ lang, url }]` listing every variant.
+ *
+ * URLs are compared with the crawl's `urlNormalizer` (see
+ * createUrlNormalizer).
+ *
+ * Returns { pages, foldedCount }.
+ */
+function foldLocaleVariants(analyzedPages, startUrl, options = {}) {
+  const { urlNormalizer = createUrlNormalizer() } = options;
+  const keyOf = url => urlNormalizer.normalize(url);
+  const pagesByKey = new Map(analyzedPages.map(page => [keyOf(page.url), page]));
+  const parent = new Map(Array.from(pagesByKey.keys()).map(key => [key, key]));
+
+  const find = key => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  const byStrippedUrl = new Map();
+  analyzedPages.forEach(page => {
+    if (page.pageType === 'document') return;
+    const key = keyOf(page.url);
+
+    (page.language?.alternates || []).forEach(alternate => {
+      const alternateKey = keyOf(alternate.href);
+      if (alternateKey !== key && pagesByKey.has(alternateKey)) union(key, alternateKey);
+    });
+
+    const stripped = stripLocalePrefix(key, urlNormalizer);
+    if (byStrippedUrl.has(stripped)) {
+      union(byStrippedUrl.get(stripped), key);
+    } else {
+      byStrippedUrl.set(stripped, key);
+    }
+  });
+
+  const groups = new Map();
+  pagesByKey.forEach((page, key) => {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(page);
+  });
+
+  const startPage = pagesByKey.get(keyOf(startUrl));
+  const preferredLang = startPage?.language?.lang || null;
+  const representativeOf = new Map();
+  const membersOf = new Map();
+
+  groups.forEach(members => {
+    const representative = pickRepresentative(members, preferredLang, startPage);
+    members.forEach(member => representativeOf.set(keyOf(member.url), representative.url));
+    membersOf.set(representative, members);
+  });
+
+  const rewrite = href => representativeOf.get(keyOf(href)) || href;
+
+  const pages = analyzedPages
+    .filter(page => membersOf.has(page))
+    .map(page => {
+      const members = membersOf.get(page);
+      if (members.length === 1) {
+        return { ...page, locales: [], links: rewriteLinks(page, [page], rewrite) };
+      }
+      return {
+        ...page,
+        referrer: page.referrer ? rewrite(page.referrer) : page.referrer,
+        depth: Math.min(...members.map(member => member.depth ?? Infinity)),
+        locales: members.map(member => ({ lang: member.language?.lang || null, url: member.url })),
+        links: rewriteLinks(page, members, rewrite)
+      };
+    });
+
+  return { pages, foldedCount: analyzedPages.length - pages.length };
+}
+
+function pickRepresentative(members, preferredLang, startPage) {
+  if (startPage && members.includes(startPage)) return startPage;
+  const score = page => [
+    preferredLang && page.language?.lang === preferredLang ? 0 : 1,
+    getLocalePrefix(page.url) ? 1 : 0,
+    page.depth ?? Infinity
+  ];
+  return members.slice().sort((a, b) => {
+    const scoreA = score(a);
+    const scoreB = score(b);
+    for (let i = 0; i < scoreA.length; i++) {
+      if (scoreA[i] !== scoreB[i]) return scoreA[i] - scoreB[i];
+    }
+    return 0;
+  })[0];
+}
+
+// Links of every variant, pointed at representatives, without self links
+// or duplicates. Global/contextual are recomputed by the nav detector.
+function rewriteLinks(page, members, rewrite) {
+  const seen = new Set();
+  const all = [];
+  members.forEach(member => {
+    (member.links?.all || []).forEach(link => {
+      const href = rewrite(link.href);
+      if (href === page.url || seen.has(href)) return;
+      seen.add(href);
+      all.push(href === link.href ? link : { ...link, href, localeOf: link.href });
+    });
+  });
+  return { ...page.links, all };
+}
+
+function stripLocalePrefix(url, urlNormalizer) {
+  const prefix = getLocalePrefix(url);
+  if (!prefix) return url;
+  const urlObj = new URL(url);
+  urlObj.pathname = urlObj.pathname.slice(prefix.segment.length + 1) || '/';
+  return urlNormalizer.normalize(urlObj.href);
+}
+
+module.exports = { foldLocaleVariants };
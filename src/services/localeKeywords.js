@@ -0,0 +1,290 @@
+const { URL } = require('url');
+
+/**
+ * Locale-aware keyword dictionaries and page language detection.
+ *
+ * Keywords are lowercase. Each dictionary entry maps a language (primary
+ * subtag, e.g. 'de') to the words used in titles and link texts; URL
+ * slugs are derived from the same words ("zur kasse" -> "zur-kasse").
+ */
+const PAGE_TYPE_KEYWORDS = {
+  login: {
+    en: ['login', 'log in', 'sign in', 'signin'],
+    de: ['anmelden', 'anmeldung', 'einloggen'],
+    fr: ['connexion', 'se connecter', 'identifiez-vous'],
+    es: ['iniciar sesión', 'iniciar-sesion', 'acceder', 'entrar'],
+    it: ['accedi', 'accesso'],
+    nl: ['inloggen', 'aanmelden'],
+    pt: ['entrar', 'iniciar sessão', 'login'],
+    pl: ['zaloguj', 'logowanie'],
+    ja: ['ログイン', 'サインイン'],
+    zh: ['登录', '登入'],
+    ko: ['로그인']
+  },
+  signup: {
+    en: ['sign up', 'signup', 'register', 'create account'],
+    de: ['registrieren', 'registrierung', 'konto erstellen'],
+    fr: ['inscription', "s'inscrire", 'créer un compte'],
+    es: ['registrarse', 'registro', 'crear cuenta'],
+    it: ['registrati', 'registrazione'],
+    nl: ['registreren', 'account aanmaken'],
+    pt: ['cadastro', 'registrar', 'criar conta'],
+    pl: ['rejestracja', 'zarejestruj'],
+    ja: ['新規登録', '会員登録'],
+    zh: ['注册'],
+    ko: ['회원가입']
+  },
+  checkout: {
+    en: ['checkout', 'cart', 'basket', 'shopping bag'],
+    de: ['warenkorb', 'kasse', 'zur kasse', 'bestellung'],
+    fr: ['panier', 'commande', 'paiement'],
+    es: ['carrito', 'cesta', 'pago', 'finalizar compra'],
+    it: ['carrello', 'cassa', 'pagamento'],
+    nl: ['winkelwagen', 'afrekenen', 'winkelmandje'],
+    pt: ['carrinho', 'finalizar compra', 'pagamento'],
+    pl: ['koszyk', 'zamówienie', 'kasa'],
+    ja: ['カート', 'ショッピングカート', '購入手続き', 'レジ'],
+    zh: ['购物车', '结算', '结账'],
+    ko: ['장바구니', '결제']
+  },
+  contact: {
+    en: ['contact'],
+    de: ['kontakt'],
+    fr: ['contact', 'contactez-nous'],
+    es: ['contacto', 'contáctenos'],
+    it: ['contatti', 'contattaci'],
+    nl: ['contact'],
+    pt: ['contato', 'contacto', 'fale conosco'],
+    pl: ['kontakt'],
+    ja: ['お問い合わせ', '問い合わせ'],
+    zh: ['联系我们'],
+    ko: ['문의']
+  },
+  support: {
+    en: ['support', 'help', 'faq'],
+    de: ['hilfe', 'kundenservice', 'häufige fragen'],
+    fr: ['aide', 'assistance', 'questions fréquentes'],
+    es: ['ayuda', 'soporte', 'preguntas frecuentes'],
+    it: ['aiuto', 'assistenza', 'domande frequenti'],
+    nl: ['hulp', 'klantenservice', 'veelgestelde vragen'],
+    pt: ['ajuda', 'suporte', 'perguntas frequentes'],
+    pl: ['pomoc', 'obsługa klienta'],
+    ja: ['ヘルプ', 'サポート', 'よくある質問'],
+    zh: ['帮助', '客服'],
+    ko: ['고객센터', '도움말']
+  },
+  about: {
+    en: ['about'],
+    de: ['über uns', 'ueber-uns', 'unternehmen'],
+    fr: ['à propos', 'a-propos', 'qui sommes-nous'],
+    es: ['sobre nosotros', 'quiénes somos', 'quienes-somos'],
+    it: ['chi siamo'],
+    nl: ['over ons'],
+    pt: ['sobre nós', 'sobre-nos', 'quem somos'],
+    pl: ['o nas'],
+    ja: ['会社概要', '私たちについて'],
+    zh: ['关于我们'],
+    ko: ['회사소개']
+  },
+  // No 'item' or 'article' style words: /article/ is usually editorial
+  'product-detail': {
+    en: ['product'],
+    de: ['produkt'],
+    fr: ['produit'],
+    es: ['producto'],
+    it: ['prodotto'],
+    nl: ['product'],
+    pt: ['produto'],
+    pl: ['produkt'],
+    ja: ['商品', '商品詳細'],
+    zh: ['商品', '产品详情'],
+    ko: ['상품상세']
+  },
+  'product-list': {
+    en: ['products', 'shop', 'catalog'],
+    de: ['produkte', 'sortiment', 'katalog'],
+    fr: ['produits', 'boutique', 'catalogue'],
+    es: ['productos', 'tienda', 'catálogo'],
+    it: ['prodotti', 'negozio', 'catalogo'],
+    nl: ['producten', 'winkel', 'assortiment'],
+    pt: ['produtos', 'loja', 'catálogo'],
+    pl: ['produkty', 'sklep', 'katalog'],
+    ja: ['商品一覧', 'ショップ'],
+    zh: ['产品', '商店'],
+    ko: ['상품', '쇼핑']
+  }
+};
+
+/**
+ * Call-to-action texts used by the structural detectors.
+ */
+const CTA_KEYWORDS = {
+  addToCart: {
+    en: ['add to cart', 'add to bag', 'add to basket', 'buy now'],
+    de: ['in den warenkorb', 'jetzt kaufen', 'in den einkaufswagen'],
+    fr: ['ajouter au panier', 'acheter maintenant', 'acheter'],
+    es: ['añadir al carrito', 'agregar al carrito', 'comprar ahora'],
+    it: ['aggiungi al carrello', 'acquista ora'],
+    nl: ['in winkelwagen', 'toevoegen aan winkelwagen', 'nu kopen'],
+    pt: ['adicionar ao carrinho', 'comprar agora'],
+    pl: ['dodaj do koszyka', 'kup teraz'],
+    ja: ['カートに入れる', 'カートに追加', '今すぐ購入'],
+    zh: ['加入购物车', '立即购买'],
+    ko: ['장바구니 담기', '바로 구매']
+  },
+  checkout: {
+    en: ['checkout', 'payment'],
+    de: ['zur kasse', 'kasse', 'zahlung', 'bezahlen'],
+    fr: ['commander', 'paiement', 'passer la commande'],
+    es: ['finalizar compra', 'pago', 'pagar'],
+    it: ['procedi al pagamento', 'pagamento', 'cassa'],
+    nl: ['afrekenen', 'betalen', 'betaling'],
+    pt: ['finalizar compra', 'pagamento', 'pagar'],
+    pl: ['do kasy', 'płatność', 'zapłać'],
+    ja: ['購入手続き', 'お支払い', 'レジに進む'],
+    zh: ['结算', '付款', '去结算'],
+    ko: ['결제', '주문하기']
+  }
+};
+
+const LANGUAGE_CODES = new Set(Object.keys(PAGE_TYPE_KEYWORDS.login).concat([
+  'ar', 'bg', 'cs', 'da', 'el', 'et', 'fi', 'he', 'hi', 'hr', 'hu', 'id', 'lt', 'lv',
+  'ms', 'nb', 'no', 'ro', 'ru', 'sk', 'sl', 'sr', 'sv', 'th', 'tr', 'uk', 'vi'
+]));
+
+/**
+ * Keywords for `key` in the page language. English is always included
+ * (mixed-language sites are common); an unknown language uses every
+ * language.
+ */
+function getLocalizedKeywords(dictionary, key, lang) {
+  const entry = dictionary[key];
+  if (!entry) return [];
+  if (!lang || !entry[lang]) {
+    return Array.from(new Set(Object.values(entry).flat()));
+  }
+  return Array.from(new Set([...entry[lang], ...(entry.en || [])]));
+}
+
+/**
+ * URL slugs for `key`: the page language plus English. Slugs are short
+ * and ambiguous across languages ('entrar', 'kasse'), so a page in an
+ * unknown language (or one without a dictionary entry) only matches
+ * English slugs.
+ */
+function getLocalizedSlugKeywords(dictionary, key, lang) {
+  const entry = dictionary[key];
+  if (!entry) return [];
+  return Array.from(new Set([...(entry[lang] || []), ...(entry.en || [])]));
+}
+
+/**
+ * True when a path segment of the URL equals (or starts with, followed
+ * by '-' or '.') a slug form of one of the keywords.
+ */
+function matchesLocalizedSlug(url, keywords) {
+  let segments;
+  try {
+    segments = safeDecode(new URL(url).pathname).toLowerCase().split('/').filter(Boolean);
+  } catch {
+    return false;
+  }
+  const slugs = keywords.map(toSlug);
+  return segments.some(segment => slugs.some(slug =>
+    segment === slug || segment.startsWith(`${slug}-`) || segment.startsWith(`${slug}.`)
+  ));
+}
+
+/**
+ * Detects the page language, in order of reliability:
+ * <html lang>, the hreflang entry pointing at the page itself, then a
+ * locale prefix in the URL path (/de/, /fr-ca/).
+ *
+ * Also returns every hreflang alternate for locale-variant folding.
+ */
+function detectPageLanguage($, url) {
+  const alternates = [];
+  $('link[rel~="alternate"][hreflang]').each((i, elem) => {
+    const hreflang = ($(elem).attr('hreflang') || '').trim().toLowerCase();
+    const href = $(elem).attr('href');
+    if (!hreflang || !href) return;
+    try {
+      alternates.push({ hreflang, lang: primaryLanguage(hreflang), href: new URL(href, url).href });
+    } catch {
+      // Ignore malformed alternates
+    }
+  });
+
+  const htmlLang = primaryLanguage($('html').attr('lang') || $('html').attr('xml:lang'));
+  if (htmlLang) {
+    return { lang: htmlLang, source: 'html-lang', alternates };
+  }
+
+  const self = alternates.find(alternate => alternate.lang && sameUrl(alternate.href, url));
+  if (self) {
+    return { lang: self.lang, source: 'hreflang', alternates };
+  }
+
+  const prefix = getLocalePrefix(url);
+  if (prefix) {
+    return { lang: prefix.lang, source: 'url-prefix', alternates };
+  }
+
+  return { lang: null, source: null, alternates };
+}
+
+/**
+ * Returns { segment, lang } when the first path segment is a locale
+ * such as 'de', 'fr-ca' or 'pt_BR', otherwise null.
+ */
+function getLocalePrefix(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  const match = pathname.match(/^\/([a-z]{2})(?:[-_]([a-z]{2}|[a-z]{4}))?(?=\/|$)/i);
+  if (!match || !LANGUAGE_CODES.has(match[1].toLowerCase())) return null;
+  return { segment: match[0].slice(1), lang: match[1].toLowerCase() };
+}
+
+function primaryLanguage(tag) {
+  if (!tag || tag === 'x-default') return null;
+  const primary = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+function toSlug(keyword) {
+  return keyword.toLowerCase().replace(/\s+/g, '-');
+}
+
+function sameUrl(a, b) {
+  try {
+    const urlA = new URL(a);
+    const urlB = new URL(b);
+    const trim = pathname => pathname.replace(/\/+$/, '') || '/';
+    return urlA.host === urlB.host && trim(urlA.pathname) === trim(urlB.pathname) && urlA.search === urlB.search;
+  } catch {
+    return false;
+  }
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+module.exports = {
+  PAGE_TYPE_KEYWORDS,
+  CTA_KEYWORDS,
+  LANGUAGE_CODES,
+  getLocalizedKeywords,
+  getLocalizedSlugKeywords,
+  matchesLocalizedSlug,
+  detectPageLanguage,
+  getLocalePrefix
+};
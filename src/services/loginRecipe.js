@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+
+/**
+ * Declarative login recipes for sites the form-login heuristic can't
+ * handle (email-first logins, SSO pickers, MFA).
+ *
+ * A recipe is an ordered list of steps, run in one Playwright page:
+ * - { action: 'goto', url }                      relative URLs resolve against loginUrl
+ * - { action: 'fill', selector, value }          value may use {{username}}-style placeholders
+ * - { action: 'click', selector }
+ * - { action: 'press', selector, key }
+ * - { action: 'waitForUrl', url }                Playwright glob, e.g. '**\/dashboard'
+ * - { action: 'waitForSelector', selector, state? }
+ * - { action: 'totp', selector, secret? }        fills a code from credentials.totpSecret
+ *
+ * Placeholders resolve against the credentials object, so secrets never
+ * live in crawlConfig (which is written to checkpoints).
+ */
+const STEP_ACTIONS = {
+  goto: ['url'],
+  fill: ['selector', 'value'],
+  click: ['selector'],
+  press: ['selector', 'key'],
+  waitForUrl: ['url'],
+  waitForSelector: ['selector'],
+  totp: ['selector']
+};
+
+/**
+ * Checks a recipe's shape up front so config mistakes fail before the
+ * crawl starts rather than halfway through a login.
+ */
+function validateLoginRecipe(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('loginRecipe must be a non-empty array of steps');
+  }
+
+  steps.forEach((step, index) => {
+    const required = STEP_ACTIONS[step?.action];
+    if (!required) {
+      throw new Error(`loginRecipe step ${index + 1}: unknown action ${JSON.stringify(step?.action)}`);
+    }
+    const missing = required.filter(field => typeof step[field] !== 'string' || !step[field]);
+    if (missing.length > 0) {
+      throw new Error(`loginRecipe step ${index + 1} (${step.action}): missing ${missing.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Runs a recipe step by step. A failing step throws a LoginRecipeError
+ * naming the step number, action and target, plus the page URL at the
+ * time of failure.
+ */
+async function runLoginRecipe(page, steps, options = {}) {
+  const { credentials = {}, baseUrl, timeout = 30000, onLog = null } = options;
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const label = describeStep(step, index);
+    log(onLog, `Login ${label}`);
+
+    try {
+      await runStep(page, step, { credentials, baseUrl, timeout: step.timeout || timeout });
+    } catch (error) {
+      const loginError = new Error(`Login ${label} failed at ${safePageUrl(page)}: ${error.message}`);
+      loginError.name = 'LoginRecipeError';
+      loginError.step = index + 1;
+      loginError.action = step.action;
+      throw loginError;
+    }
+  }
+}
+
+async function runStep(page, step, { credentials, baseUrl, timeout }) {
+  switch (step.action) {
+    case 'goto':
+      await page.goto(new URL(resolveTemplate(step.url, credentials), baseUrl).href, {
+        waitUntil: 'domcontentloaded',
+        timeout
+      });
+      return;
+    case 'fill':
+      await page.fill(step.selector, resolveTemplate(step.value, credentials), { timeout });
+      return;
+    case 'click':
+      await page.click(step.selector, { timeout });
+      return;
+    case 'press':
+      await page.press(step.selector, step.key, { timeout });
+      return;
+    case 'waitForUrl':
+      await page.waitForURL(step.url, { timeout });
+      return;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector, { state: step.state || 'visible', timeout });
+      return;
+    case 'totp': {
+      const secret = resolveTemplate(step.secret || '{{totpSecret}}', credentials);
+      await page.fill(step.selector, generateTotp(secret, step), { timeout });
+      return;
+    }
+    default:
+      throw new Error(`unknown action ${step.action}`);
+  }
+}
+
+/**
+ * RFC 6238 time-based one-time password from a base32 shared secret.
+ */
+function generateTotp(secret, options = {}) {
+  const { digits = 6, period = 30, algorithm = 'sha1', timestamp = Date.now() } = options;
+  const key = decodeBase32(secret);
+  if (key.length === 0) {
+    throw new Error('TOTP secret is empty or not base32');
+  }
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(timestamp / 1000 / period)));
+
+  const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+function decodeBase32(value) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const clean = String(value || '').toUpperCase().replace(/[\s-]/g, '').replace(/=+$/, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw new Error('TOTP secret is not valid base32');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// {{name}} resolves to credentials[name]; missing values are an error
+// rather than an empty string, which would make the login fail silently
+function resolveTemplate(value, credentials) {
+  return String(value).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+    if (credentials?.[name] === undefined || credentials[name] === null) {
+      throw new Error(`credentials.${name} is not set`);
+    }
+    return String(credentials[name]);
+  });
+}
+
+function describeStep(step, index) {
+  const target = step.selector || step.url || '';
+  return `step ${index + 1} (${step.action}${target ? ` ${target}` : ''})`;
+}
+
+function safePageUrl(page) {
+  try {
+    return page.url();
+  } catch {
+    return 'unknown page';
+  }
+}
+
+function log(onLog, message) {
+  if (typeof onLog === 'function') {
+    onLog(message);
+  } else {
+    console.log(message);
+  }
+}
+
+module.exports = {
+  validateLoginRecipe,
+  runLoginRecipe,
+  generateTotp
+};
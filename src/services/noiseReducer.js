@@ -44,12 +44,13 @@ function removeDuplicateFlows(flows) {
   return unique;
 }
 
-// Remove flows that are prefixes of longer flows.
+// Remove flows that are prefixes of longer flows. Flow pattern matches
+// are complete journeys by definition, so they are kept.
 function removeSubsetFlows(flows) {
   const filtered = [];
   
   flows.forEach(flow => {
-    const isSubset = flows.some(otherFlow => {
+    const isSubset = !flow.pattern && flows.some(otherFlow => {
       if (flow === otherFlow) return false;
       if (flow.path.length >= otherFlow.path.length) return false;
       
@@ -114,12 +115,14 @@ function collapseConsecutiveTypes(flows, analyzedPages) {
   });
 }
 
-// Remove flows that share the same page-type sequence.
+// Remove flows that share the same page-type sequence, keeping flow
+// pattern matches over structural flows.
 function dedupeByTypeSequence(flows, analyzedPages) {
   const seen = new Set();
   const unique = [];
+  const ordered = [...flows.filter(flow => flow.pattern), ...flows.filter(flow => !flow.pattern)];
 
-  flows.forEach(flow => {
+  ordered.forEach(flow => {
     const signature = flow.path.map(url => {
       const page = analyzedPages.find(p => p.url === url);
       return page ? page.pageType : 'unknown';
@@ -166,6 +169,7 @@ function scoreAndRankFlows(flows, analyzedPages) {
     const typePriority = {
       'ecommerce': 30,
       'authentication': 25,
+      'custom': 25, // Configured flow patterns
       'support': 20,
       'navigation': 15, // Hub-and-spoke flows
       'content': 10
@@ -176,6 +180,10 @@ function scoreAndRankFlows(flows, analyzedPages) {
     const hasSubstantialText = flow.path.length > 1; // Basic check
     if (hasSubstantialText) score += 5;
     
+    // Prominent CTAs (+10) beat links buried in the page (-10)
+    const prominence = getAverageProminence(flow.path, analyzedPages);
+    if (prominence !== null) score += Math.round((prominence - 0.5) * 20);
+    
     return { ...flow, score };
   });
   
@@ -183,4 +191,22 @@ function scoreAndRankFlows(flows, analyzedPages) {
   return scored.sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Average prominence of the links followed along a path, using the most
+ * prominent link for each step. Null when no step was measured (static
+ * rendering), so unmeasured flows are neither favoured nor penalized.
+ */
+function getAverageProminence(path, analyzedPages) {
+  const scores = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const page = analyzedPages.find(p => p.url === path[i]);
+    const measured = (page?.links?.all || [])
+      .filter(link => link.href === path[i + 1] && link.prominence)
+      .map(link => link.prominence.score);
+    if (measured.length > 0) scores.push(Math.max(...measured));
+  }
+  if (scores.length === 0) return null;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
 module.exports = { reduceNoise };
@@ -1,3 +1,5 @@
+const { createUrlNormalizer, getHashRoute } = require('./urlNormalizer');
+
 /**
  * Formats extracted flows into frontend-friendly JSON
  * 
@@ -8,26 +10,49 @@
  * 
  * The output can be directly consumed by frontend flow visualization
  * libraries like React Flow, D3.js, or custom renderers
+ *
+ * `crawlMetadata` carries crawl-level statistics (e.g. URL rule drops)
+ * that are merged into the output metadata.
+ *
+ * Pages on hosts other than the start host get host-prefixed node IDs
+ * (e.g. `app.example.com/login`) so that identical paths don't collide.
+ *
+ * `fetchFailures` (URLs the crawler could not fetch) feed the
+ * `brokenLinks` report.
+ *
+ * Goal flows (k shortest paths to goal page types) are summarized under
+ * `goals` with the fewest clicks to reach each goal.
+ *
+ * `urlNormalizer` is the crawl's normalizer (createUrlNormalizer with its
+ * `trackingParams`), so node IDs match the URLs the crawler deduped on.
  */
-function formatOutput(cleanedFlows, analyzedPages, startUrl) {
+function formatOutput(cleanedFlows, analyzedPages, startUrl, crawlMetadata = {}, fetchFailures = [], urlNormalizer = createUrlNormalizer()) {
+  const startHost = getHostname(startUrl);
+  const nodeIdOf = url => createNodeId(url, startHost, urlNormalizer);
+
   // Extract all unique nodes from flows
-  const nodeMap = buildNodeMap(cleanedFlows, analyzedPages);
+  const nodeMap = buildNodeMap(cleanedFlows, analyzedPages, nodeIdOf);
   
   // Build edges from flows
-  const edges = buildEdges(cleanedFlows);
+  const edges = buildEdges(cleanedFlows, analyzedPages, nodeIdOf);
   
   // Format flows with enhanced metadata
-  const formattedFlows = cleanedFlows.map(flow => formatFlow(flow, analyzedPages));
+  const formattedFlows = cleanedFlows.map(flow => formatFlow(flow, analyzedPages, nodeIdOf));
   
   return {
     metadata: {
       startUrl,
       totalPages: analyzedPages.length,
       totalFlows: cleanedFlows.length,
-      generatedAt: new Date().toISOString()
+      hosts: Array.from(new Set(analyzedPages.map(page => getHostname(page.url)))),
+      generatedAt: new Date().toISOString(),
+      ...crawlMetadata
     },
     nodes: Array.from(nodeMap.values()),
     edges,
+    crossHostEdges: buildCrossHostEdges(analyzedPages, nodeIdOf),
+    brokenLinks: buildBrokenLinks(fetchFailures, analyzedPages, urlNormalizer, nodeIdOf),
+    goals: buildGoalSummary(formattedFlows),
     flows: formattedFlows
   };
 }
@@ -35,7 +60,7 @@ function formatOutput(cleanedFlows, analyzedPages, startUrl) {
 /**
  * Builds a map of unique nodes from all flows
  */
-function buildNodeMap(flows, analyzedPages) {
+function buildNodeMap(flows, analyzedPages, nodeIdOf) {
   const nodeMap = new Map();
   
   flows.forEach(flow => {
@@ -45,11 +70,21 @@ function buildNodeMap(flows, analyzedPages) {
         
         if (page) {
           nodeMap.set(url, {
-            id: createNodeId(url),
+            id: nodeIdOf(url),
             url,
+            host: getHostname(url),
             label: createNodeLabel(page),
             pageType: page.pageType,
+            templateId: page.templateId || null,
+            classification: page.classification || null,
+            language: page.language?.lang || null,
+            ...(page.locales?.length ? { locales: page.locales } : {}),
+            ...(hasStructuredData(page) ? { structuredData: page.structuredData } : {}),
             title: page.title,
+            discovery: page.discovery || 'navigation',
+            fetch: page.fetch || null,
+            screenshot: page.screenshot || null,
+            ...(page.document ? { document: page.document } : {}),
             metadata: {
               hasForm: page.metadata.hasForm,
               hasLogin: page.metadata.hasLogin,
@@ -65,9 +100,10 @@ function buildNodeMap(flows, analyzedPages) {
 }
 
 /**
- * Builds edge list from flows
+ * Builds edge list from flows. Edges carry the link text and, for
+ * client-side navigation, the kind of trigger that caused it.
  */
-function buildEdges(flows) {
+function buildEdges(flows, analyzedPages, nodeIdOf) {
   const edgeSet = new Set();
   const edges = [];
   
@@ -75,16 +111,23 @@ function buildEdges(flows) {
     for (let i = 0; i < flow.path.length - 1; i++) {
       const source = flow.path[i];
       const target = flow.path[i + 1];
-      const edgeId = `${createNodeId(source)}->${createNodeId(target)}`;
+      const edgeId = `${nodeIdOf(source)}->${nodeIdOf(target)}`;
       
       if (!edgeSet.has(edgeId)) {
         edgeSet.add(edgeId);
+        const link = findLink(analyzedPages, source, target);
         edges.push({
           id: edgeId,
-          source: createNodeId(source),
-          target: createNodeId(target),
+          source: nodeIdOf(source),
+          target: nodeIdOf(target),
           sourceUrl: source,
           targetUrl: target,
+          crossHost: getHostname(source) !== getHostname(target),
+          linkText: link?.text || null,
+          navigationType: link?.navigationType || 'link',
+          block: link?.block || null,
+          prominence: link?.prominence || null,
+          ...(link?.form ? { form: link.form } : {}),
           flowTypes: [flow.type]
         });
       } else {
@@ -100,40 +143,264 @@ function buildEdges(flows) {
   return edges;
 }
 
+// The most prominent link when the source links to the target repeatedly
+function findLink(analyzedPages, source, target) {
+  const page = analyzedPages.find(p => p.url === source);
+  return (page?.links?.all || [])
+    .filter(link => link.href === target)
+    .reduce((best, link) => {
+      if (!best) return link;
+      return (link.prominence?.score ?? -1) > (best.prominence?.score ?? -1) ? link : best;
+    }, null);
+}
+
 /**
  * Formats a single flow with enhanced metadata
  */
-function formatFlow(flow, analyzedPages) {
+function formatFlow(flow, analyzedPages, nodeIdOf) {
   const steps = flow.path.map((url, index) => {
     const page = analyzedPages.find(p => p.url === url);
     
     return {
       stepNumber: index + 1,
-      nodeId: createNodeId(url),
+      nodeId: nodeIdOf(url),
       url,
       label: page ? createNodeLabel(page) : 'Unknown Page',
       pageType: page ? page.pageType : 'unknown',
-      title: page ? page.title : 'Unknown'
+      templateId: page?.templateId || null,
+      title: page ? page.title : 'Unknown',
+      screenshot: page?.screenshot || null
     };
   });
   
   return {
-    id: createFlowId(flow),
+    id: createFlowId(flow, nodeIdOf),
     type: flow.type,
+    pattern: flow.pattern || null,
     name: flow.name || `${capitalize(flow.type || 'flow')} Flow`,
     score: flow.score || 0,
+    ...(flow.goal ? { goal: flow.goal, rank: flow.rank, cost: flow.cost, clicksToGoal: flow.clicksToGoal } : {}),
     steps,
     stepCount: steps.length
   };
 }
 
 /**
- * Creates a clean node ID from URL
+ * One entry per goal page type: the fewest clicks needed to reach it and
+ * its goal flows in rank order.
+ */
+function buildGoalSummary(flows) {
+  const goals = new Map();
+  flows.filter(flow => flow.goal).forEach(flow => {
+    if (!goals.has(flow.goal)) goals.set(flow.goal, []);
+    goals.get(flow.goal).push(flow);
+  });
+
+  return Array.from(goals.entries()).map(([goal, goalFlows]) => ({
+    goal,
+    clicksToGoal: Math.min(...goalFlows.map(flow => flow.clicksToGoal)),
+    paths: goalFlows
+      .sort((a, b) => a.rank - b.rank)
+      .map(flow => ({ flowId: flow.id, rank: flow.rank, clicks: flow.clicksToGoal, cost: flow.cost }))
+  }));
+}
+
+/**
+ * Re-expresses page-level output at the URL template level: one node per
+ * template (with instance count and sample URLs), edges merged between
+ * templates, and flows that only differ by instance merged into one.
+ * Links between pages of the same template are dropped, and consecutive
+ * flow steps on the same template collapse into one step (flows left
+ * with a single step are dropped).
+ *
+ * Goal flows keep every step so `clicksToGoal` still counts their clicks.
+ * Goal flows with the same template path merge into the cheapest one,
+ * and each goal's flows are ranked again (1, 2, ...) by cost.
+ */
+function toTemplateOutput(output, templates) {
+  const templateById = new Map(templates.map(template => [template.id, template]));
+  const templateOfNode = new Map(output.nodes.map(node => [node.id, node.templateId || node.id]));
+  const templateOf = nodeId => templateOfNode.get(nodeId) || nodeId;
+
+  const nodeMap = new Map();
+  output.nodes.forEach(node => {
+    const templateId = node.templateId || node.id;
+    const template = templateById.get(templateId);
+    if (nodeMap.has(templateId)) return;
+    const instanceCount = template ? template.instanceCount : 1;
+    nodeMap.set(templateId, {
+      id: templateId,
+      url: node.url,
+      host: node.host,
+      label: instanceCount > 1 ? createNodeLabel({ pageType: template.pageType }) : node.label,
+      pageType: template ? template.pageType : node.pageType,
+      templateId,
+      pattern: template ? template.pattern : null,
+      instanceCount,
+      sampleUrls: template ? template.sampleUrls : [node.url],
+      screenshot: node.screenshot,
+      metadata: node.metadata
+    });
+  });
+
+  const edgeMap = new Map();
+  output.edges.forEach(edge => {
+    const source = templateOf(edge.source);
+    const target = templateOf(edge.target);
+    if (source === target) return;
+    const id = `${source}->${target}`;
+    const existing = edgeMap.get(id);
+    if (existing) {
+      existing.instanceCount += 1;
+      edge.flowTypes.forEach(type => {
+        if (!existing.flowTypes.includes(type)) existing.flowTypes.push(type);
+      });
+      return;
+    }
+    edgeMap.set(id, { ...edge, id, source, target, flowTypes: [...edge.flowTypes], instanceCount: 1 });
+  });
+
+  const flowMap = new Map();
+  output.flows.forEach(flow => {
+    const steps = [];
+    flow.steps.forEach(step => {
+      const templateId = step.templateId || step.nodeId;
+      if (!flow.goal && steps.length > 0 && steps[steps.length - 1].nodeId === templateId) return;
+      const node = nodeMap.get(templateId);
+      steps.push({
+        ...step,
+        stepNumber: steps.length + 1,
+        nodeId: templateId,
+        label: node ? node.label : step.label
+      });
+    });
+    // A flow within a single template (product -> related product) says nothing
+    if (steps.length < 2) return;
+    const id = `${flow.type}-${steps.map(step => step.nodeId).join('-')}`.substring(0, 100);
+    const existing = flowMap.get(id);
+    if (existing && !(flow.goal && flow.cost < existing.cost)) {
+      existing.instanceCount += 1;
+      return;
+    }
+    // A cheaper goal path replaces the one merged so far
+    flowMap.set(id, { ...flow, id, steps, stepCount: steps.length, instanceCount: (existing?.instanceCount || 0) + 1 });
+  });
+  rerankGoalFlows(Array.from(flowMap.values()));
+
+  return {
+    ...output,
+    metadata: {
+      ...output.metadata,
+      outputMode: 'templates',
+      totalTemplates: templates.length,
+      totalFlows: flowMap.size
+    },
+    nodes: Array.from(nodeMap.values()),
+    edges: Array.from(edgeMap.values()),
+    goals: buildGoalSummary(Array.from(flowMap.values())),
+    flows: Array.from(flowMap.values())
+  };
+}
+
+// Ranks each goal's flows 1, 2, ... by cost (fewer clicks break ties)
+function rerankGoalFlows(flows) {
+  const byGoal = new Map();
+  flows.filter(flow => flow.goal).forEach(flow => {
+    if (!byGoal.has(flow.goal)) byGoal.set(flow.goal, []);
+    byGoal.get(flow.goal).push(flow);
+  });
+
+  byGoal.forEach((goalFlows, goal) => {
+    goalFlows
+      .sort((a, b) => a.cost - b.cost || a.clicksToGoal - b.clicksToGoal)
+      .forEach((flow, index) => {
+        flow.rank = index + 1;
+        flow.name = `Path ${index + 1} to ${goal}`;
+      });
+  });
+}
+
+/**
+ * Lists every link between different hosts, whether or not it ended up
+ * in a flow (e.g. marketing site → app login)
  */
-function createNodeId(url) {
+function buildCrossHostEdges(analyzedPages, nodeIdOf) {
+  const seen = new Set();
+  const edges = [];
+
+  analyzedPages.forEach(page => {
+    (page.links?.all || []).forEach(link => {
+      if (!link.crossHost) return;
+
+      const id = `${nodeIdOf(page.url)}->${nodeIdOf(link.href)}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+
+      edges.push({
+        id,
+        source: nodeIdOf(page.url),
+        target: nodeIdOf(link.href),
+        sourceUrl: page.url,
+        targetUrl: link.href,
+        sourceHost: getHostname(page.url),
+        targetHost: getHostname(link.href),
+        text: link.text
+      });
+    });
+  });
+
+  return edges;
+}
+
+/**
+ * Lists 4xx/5xx link targets together with every crawled page (and link
+ * text) that points at them.
+ */
+function buildBrokenLinks(fetchFailures, analyzedPages, urlNormalizer, nodeIdOf) {
+  return fetchFailures
+    .filter(failure => failure.status >= 400)
+    .map(failure => {
+      const targetKey = urlNormalizer.normalize(failure.url);
+      const linkedFrom = [];
+
+      analyzedPages.forEach(page => {
+        (page.links?.all || []).forEach(link => {
+          if (urlNormalizer.normalize(link.href) !== targetKey) return;
+          linkedFrom.push({
+            nodeId: nodeIdOf(page.url),
+            url: page.url,
+            linkText: link.text || null
+          });
+        });
+      });
+
+      return {
+        url: failure.url,
+        status: failure.status,
+        redirectChain: failure.redirectChain || [],
+        linkedFrom
+      };
+    })
+    .sort((a, b) => b.linkedFrom.length - a.linkedFrom.length);
+}
+
+function hasStructuredData(page) {
+  const data = page.structuredData;
+  return Boolean(data && (data.types.length > 0 || data.ogType));
+}
+
+/**
+ * Creates a clean node ID from the normalized URL. Meaningful query
+ * parameters (tracking params are already stripped) and hash-router
+ * routes (`#/pricing`) become part of the ID.
+ */
+function createNodeId(url, startHost, urlNormalizer) {
   try {
-    const urlObj = new URL(url);
-    const path = urlObj.pathname.replace(/^\/|\/$/g, '');
+    const urlObj = new URL(urlNormalizer.normalize(url));
+    const path = urlObj.pathname.replace(/^\/|\/$/g, '') + urlObj.search + getHashRoute(urlObj.hash);
+    if (startHost && !isSameSite(urlObj.hostname, startHost)) {
+      return path ? `${urlObj.hostname}/${path}` : urlObj.hostname;
+    }
     return path || 'home';
   } catch {
     return 'unknown';
@@ -155,7 +422,8 @@ function createNodeLabel(page) {
     'contact': 'Contact',
     'support': 'Support',
     'about': 'About',
-    'content': 'Content Page'
+    'content': 'Content Page',
+    'document': 'Document'
   };
   
   let label = typeLabels[page.pageType] || page.pageType;
@@ -171,12 +439,25 @@ function createNodeLabel(page) {
 /**
  * Creates a unique flow ID
  */
-function createFlowId(flow) {
-  const pathSignature = flow.path.map(createNodeId).join('-');
+function createFlowId(flow, nodeIdOf) {
+  const pathSignature = flow.path.map(nodeIdOf).join('-');
   return `${flow.type}-${pathSignature}`.substring(0, 100);
 }
 
-module.exports = { formatOutput };
+module.exports = { formatOutput, toTemplateOutput };
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// www.example.com and example.com share node IDs
+function isSameSite(host, startHost) {
+  return host.replace(/^www\./, '') === startHost.replace(/^www\./, '');
+}
 
 function capitalize(value) {
   if (!value) return '';
@@ -1,18 +1,36 @@
 const cheerio = require('cheerio');
+const { createPageTypeClassifier, DETECTORS } = require('./pageTypeRules');
+const { detectPageLanguage } = require('./localeKeywords');
+const { extractStructuredData } = require('./structuredData');
+const { computeDomSignature } = require('./urlTemplates');
+
+const defaultClassifier = createPageTypeClassifier();
 
 /**
  * Analyzes a crawled page to extract semantic meaning
  * 
  * Key responsibilities:
+ * - Detect the page language (<html lang>, hreflang, /xx/ URL prefix)
+ * - Extract structured data (JSON-LD, microdata, Open Graph)
  * - Identify page type (home, login, product, checkout, etc.)
  * - Classify links as global vs contextual
  * - Detect common UI patterns
  * - Extract actionable elements (forms, buttons)
+ *
+ * `options.classifier` (from createPageTypeClassifier) supplies the
+ * page-type rules; the built-in rules are used by default.
  */
-function analyzePage(page) {
+function analyzePage(page, options = {}) {
+  if (page.resourceType === 'document') {
+    return analyzeDocument(page);
+  }
+
+  const { classifier = defaultClassifier } = options;
   const $ = cheerio.load(page.html);
   
-  const pageType = identifyPageType(page, $);
+  const language = detectPageLanguage($, page.url);
+  const structuredData = extractStructuredData($, page.url);
+  const { pageType, classification } = classifier.classify({ ...page, language, structuredData }, $);
   const globalLinks = identifyGlobalLinks(page.links);
   const contextualLinks = page.links.filter(link => !globalLinks.has(link.href));
   const actionElements = extractActionElements($);
@@ -21,8 +39,14 @@ function analyzePage(page) {
     url: page.url,
     title: page.title,
     pageType,
+    classification,
+    language,
+    structuredData,
     depth: page.depth,
     referrer: page.referrer,
+    discovery: page.discovery || 'navigation',
+    fetch: page.fetch || null,
+    screenshot: page.screenshot || null,
     links: {
       all: page.links,
       global: Array.from(globalLinks).map(href => 
@@ -31,51 +55,47 @@ function analyzePage(page) {
       contextual: contextualLinks
     },
     actionElements,
+    domSignature: computeDomSignature($),
     metadata: {
       hasForm: $('form').length > 0,
-      hasLogin: detectLoginPage($),
-      hasCheckout: detectCheckoutPage($),
-      hasProductList: detectProductListPage($),
-      hasProductDetail: detectProductDetailPage($)
+      hasLogin: DETECTORS.loginForm($),
+      hasCheckout: DETECTORS.checkoutForm($, language.lang),
+      hasProductList: DETECTORS.productGrid($),
+      hasProductDetail: DETECTORS.productDetail($, language.lang) || Boolean(structuredData.product)
     }
   };
 }
 
 /**
- * Identifies the type/purpose of a page
- * 
- * Heuristics:
- * - URL patterns (/login, /checkout, /product, etc.)
- * - Page title keywords
- * - Presence of specific elements (forms, product grids, etc.)
+ * Non-HTML resources (PDFs, archives, media) are leaf nodes: no links,
+ * no actions, just their type and size.
  */
-function identifyPageType(page, $) {
-  const url = page.url.toLowerCase();
-  const title = page.title.toLowerCase();
-  
-  // Check URL patterns first
-  if (url.includes('/login') || url.includes('/signin')) return 'login';
-  if (url.includes('/signup') || url.includes('/register')) return 'signup';
-  if (url.includes('/checkout') || url.includes('/cart')) return 'checkout';
-  if (url.includes('/product') && url.includes('/')) return 'product-detail';
-  if (url.includes('/products') || url.includes('/shop') || url.includes('/catalog')) return 'product-list';
-  if (url.includes('/contact')) return 'contact';
-  if (url.includes('/support') || url.includes('/help')) return 'support';
-  if (url.includes('/about')) return 'about';
-  if (url === new URL(page.url).origin + '/') return 'home';
-  
-  // Check title patterns
-  if (title.includes('login') || title.includes('sign in')) return 'login';
-  if (title.includes('checkout') || title.includes('cart')) return 'checkout';
-  if (title.includes('contact')) return 'contact';
-  
-  // Check page content
-  if (detectLoginPage($)) return 'login';
-  if (detectCheckoutPage($)) return 'checkout';
-  if (detectProductListPage($)) return 'product-list';
-  if (detectProductDetailPage($)) return 'product-detail';
-  
-  return 'content';
+function analyzeDocument(page) {
+  return {
+    url: page.url,
+    title: page.title,
+    pageType: 'document',
+    classification: { ruleId: 'resource-document', priority: null, score: 0, signals: ['content-type'], matchedRules: [] },
+    language: { lang: null, source: null, alternates: [] },
+    depth: page.depth,
+    referrer: page.referrer,
+    discovery: page.discovery || 'navigation',
+    fetch: page.fetch || null,
+    document: page.document,
+    links: {
+      all: [],
+      global: [],
+      contextual: []
+    },
+    actionElements: [],
+    metadata: {
+      hasForm: false,
+      hasLogin: false,
+      hasCheckout: false,
+      hasProductList: false,
+      hasProductDetail: false
+    }
+  };
 }
 
 /**
@@ -142,36 +162,4 @@ function extractActionElements($) {
   return actions;
 }
 
-// Page type detection helpers
-
-function detectLoginPage($) {
-  return $('input[type="password"]').length > 0 &&
-         ($('input[type="email"]').length > 0 || $('input[type="text"]').length > 0);
-}
-
-function detectCheckoutPage($) {
-  const text = $('body').text().toLowerCase();
-  return (text.includes('checkout') || text.includes('payment')) &&
-         ($('input[type="text"]').length > 3 || $('form').length > 0);
-}
-
-function detectProductListPage($) {
-  // Look for multiple product-like elements
-  const productIndicators = $(
-    '.product, .item, [class*="product"], [data-product]'
-  ).length;
-  
-  return productIndicators > 3;
-}
-
-function detectProductDetailPage($) {
-  const hasPrice = $('.price, [class*="price"]').length > 0;
-  const hasAddToCart = $('button, a').filter((i, el) => {
-    const text = $(el).text().toLowerCase();
-    return text.includes('add to cart') || text.includes('buy now');
-  }).length > 0;
-  
-  return hasPrice && hasAddToCart;
-}
-
 module.exports = { analyzePage };
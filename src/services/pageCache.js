@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * On-disk page cache for incremental re-crawls.
+ *
+ * One JSON file per normalized URL stores the validators (ETag,
+ * Last-Modified), a content hash and the last HTML. The crawler sends the
+ * validators as conditional request headers and reuses the HTML on 304.
+ *
+ * Entries are keyed by URL and `identity` (see getAuthIdentity), so HTML
+ * fetched with one login is never served to another crawl or to an
+ * anonymous one.
+ */
+function createPageCache(cacheDir, options = {}) {
+  const { identity = null } = options;
+  const scoped = key => `${identity || 'anonymous'}|${key}`;
+  const fileFor = key => path.join(cacheDir, `${hash(scoped(key))}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+        return entry.key === key && entry.identity === (identity || null) ? entry : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      const filePath = fileFor(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({
+        key,
+        identity: identity || null,
+        ...entry,
+        cachedAt: new Date().toISOString()
+      }), 'utf8');
+      await fs.rename(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Classifies a fetch against its cache entry:
+ * - 'fresh':     never seen before
+ * - 'unchanged': 304 or identical content
+ * - 'changed':   content differs from the cached copy
+ */
+function classifyFreshness(cachedEntry, html, notModified) {
+  if (!cachedEntry) return 'fresh';
+  if (notModified || cachedEntry.contentHash === hash(html)) return 'unchanged';
+  return 'changed';
+}
+
+// Secrets that do not identify the account; the same login with a new
+// password keeps its cache entries
+const NON_IDENTITY_FIELDS = ['password', 'totpSecret'];
+
+/**
+ * A stable, non-reversible identity for the crawl's authentication, or
+ * null for anonymous crawls: a hash of the credentials (username, tokens,
+ * headers, seeded cookies, recipe placeholders) without the password,
+ * so the same login maps to the same cache entries across runs.
+ */
+function getAuthIdentity(credentials, loginRecipe = null) {
+  const fields = Object.entries(credentials || {})
+    .filter(([name, value]) => !NON_IDENTITY_FIELDS.includes(name) && value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => [name, name === 'storageState' && typeof value === 'object' ? value.cookies || [] : value])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  if (fields.length === 0 && !loginRecipe) return null;
+  return crypto.createHash('sha256').update(JSON.stringify({ fields, loginRecipe: Boolean(loginRecipe) })).digest('hex');
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(String(value)).digest('hex');
+}
+
+module.exports = {
+  createPageCache,
+  getAuthIdentity,
+  classifyFreshness,
+  hashContent: hash
+};
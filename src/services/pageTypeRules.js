@@ -0,0 +1,326 @@
+/**
+ * Rule registry for page-type classification.
+ *
+ * A rule assigns `pageType` when its conditions hold. Conditions of
+ * different kinds are combined with AND; values within a kind with OR:
+ * - url:           regex string(s) or { regex, flags }, tested against the URL
+ * - titleKeywords: any keyword in the page title (case-insensitive)
+ * - selectors:     any CSS selector present in the document
+ * - textKeywords:  any keyword in the body text (case-insensitive)
+ * - detector:      a built-in structural check (see DETECTORS)
+ * - localizedUrl:   a PAGE_TYPE_KEYWORDS key; a URL path segment is one of
+ *                   its slugs in the page language (e.g. /anmelden for 'de');
+ *                   English only when the language is unknown
+ * - localizedTitle: a PAGE_TYPE_KEYWORDS key; the title contains one of its
+ *                   keywords in the page language
+ * - schemaType:     the page's main schema.org type (JSON-LD or microdata,
+ *                   see structuredData.js) is one of these
+ * - ogType:         og:type is one of these ('product' also matches
+ *                   'product.item')
+ *
+ * Rules are evaluated by descending `priority`. The highest tier with at
+ * least one match decides; within it, the page type with the largest sum
+ * of matching rule `weight`s wins. Pages matching no rule are 'content'.
+ */
+
+const {
+  PAGE_TYPE_KEYWORDS,
+  CTA_KEYWORDS,
+  LANGUAGE_CODES,
+  getLocalizedKeywords,
+  getLocalizedSlugKeywords,
+  matchesLocalizedSlug
+} = require('./localeKeywords');
+
+const DEFAULT_RULE_PRIORITY = 500;
+const FALLBACK_PAGE_TYPE = 'content';
+
+/**
+ * Structural checks that can't be expressed as a single selector.
+ * `language` is the detected page language; CTA texts are matched in it
+ * (plus English), or in every known language when it is unknown.
+ */
+const DETECTORS = {
+  loginForm: $ => $('input[type="password"]').length > 0 &&
+    ($('input[type="email"]').length > 0 || $('input[type="text"]').length > 0),
+
+  checkoutForm: ($, language = null) => {
+    const text = $('body').text().toLowerCase();
+    const keywords = getLocalizedKeywords(CTA_KEYWORDS, 'checkout', language);
+    return keywords.some(keyword => text.includes(keyword)) &&
+      ($('input[type="text"]').length > 3 || $('form').length > 0);
+  },
+
+  productGrid: $ => $('.product, .item, [class*="product"], [data-product]').length > 3,
+
+  productDetail: ($, language = null) => {
+    const hasPrice = $('.price, [class*="price"]').length > 0;
+    const keywords = getLocalizedKeywords(CTA_KEYWORDS, 'addToCart', language);
+    const hasAddToCart = $('button, a').filter((i, el) => {
+      const text = $(el).text().toLowerCase();
+      return keywords.some(keyword => text.includes(keyword));
+    }).length > 0;
+    return hasPrice && hasAddToCart;
+  }
+};
+
+// Structured data outranks URL heuristics; after that come the original
+// hardcoded heuristics, in their original order. Localized rules share
+// the tier of their English counterpart.
+const DEFAULT_PAGE_TYPE_RULES = [
+  { id: 'schema-product', pageType: 'product-detail', priority: 200, schemaType: ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'] },
+  { id: 'schema-product-list', pageType: 'product-list', priority: 200, schemaType: ['ItemList', 'OfferCatalog'] },
+  { id: 'schema-checkout', pageType: 'checkout', priority: 200, schemaType: ['CheckoutPage'] },
+  { id: 'schema-faq', pageType: 'support', priority: 200, schemaType: ['FAQPage', 'QAPage'] },
+  { id: 'schema-contact', pageType: 'contact', priority: 200, schemaType: ['ContactPage'] },
+  { id: 'schema-about', pageType: 'about', priority: 200, schemaType: ['AboutPage'] },
+  { id: 'url-login', pageType: 'login', priority: 190, url: ['/login', '/signin'] },
+  { id: 'url-login-localized', pageType: 'login', priority: 190, localizedUrl: 'login' },
+  { id: 'url-signup', pageType: 'signup', priority: 180, url: ['/signup', '/register'] },
+  { id: 'url-signup-localized', pageType: 'signup', priority: 180, localizedUrl: 'signup' },
+  { id: 'url-checkout', pageType: 'checkout', priority: 170, url: ['/checkout', '/cart'] },
+  { id: 'url-checkout-localized', pageType: 'checkout', priority: 170, localizedUrl: 'checkout' },
+  { id: 'url-product', pageType: 'product-detail', priority: 160, url: ['/product'] },
+  { id: 'url-product-localized', pageType: 'product-detail', priority: 160, localizedUrl: 'product-detail' },
+  { id: 'url-catalog', pageType: 'product-list', priority: 150, url: ['/products', '/shop', '/catalog'] },
+  { id: 'url-catalog-localized', pageType: 'product-list', priority: 150, localizedUrl: 'product-list' },
+  { id: 'url-contact', pageType: 'contact', priority: 140, url: ['/contact'] },
+  { id: 'url-contact-localized', pageType: 'contact', priority: 140, localizedUrl: 'contact' },
+  { id: 'url-support', pageType: 'support', priority: 130, url: ['/support', '/help'] },
+  { id: 'url-support-localized', pageType: 'support', priority: 130, localizedUrl: 'support' },
+  { id: 'url-about', pageType: 'about', priority: 120, url: ['/about'] },
+  { id: 'url-about-localized', pageType: 'about', priority: 120, localizedUrl: 'about' },
+  { id: 'url-home', pageType: 'home', priority: 110, url: ['^[a-z][a-z0-9+.-]*://[^/?#]+/$'] },
+  { id: 'url-home-localized', pageType: 'home', priority: 110, url: [`^[a-z][a-z0-9+.-]*://[^/?#]+/(?:${Array.from(LANGUAGE_CODES).join('|')})(?:[-_][a-z]{2,4})?/?$`] },
+  { id: 'og-product', pageType: 'product-detail', priority: 100, ogType: ['product'] },
+  { id: 'schema-article', pageType: 'content', priority: 100, schemaType: ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle'] },
+  { id: 'og-article', pageType: 'content', priority: 100, ogType: ['article'] },
+  { id: 'title-login', pageType: 'login', priority: 90, titleKeywords: ['login', 'sign in'] },
+  { id: 'title-login-localized', pageType: 'login', priority: 90, localizedTitle: 'login' },
+  { id: 'title-checkout', pageType: 'checkout', priority: 80, titleKeywords: ['checkout', 'cart'] },
+  { id: 'title-checkout-localized', pageType: 'checkout', priority: 80, localizedTitle: 'checkout' },
+  { id: 'title-contact', pageType: 'contact', priority: 70, titleKeywords: ['contact'] },
+  { id: 'title-contact-localized', pageType: 'contact', priority: 70, localizedTitle: 'contact' },
+  { id: 'content-login', pageType: 'login', priority: 50, detector: 'loginForm' },
+  { id: 'content-checkout', pageType: 'checkout', priority: 40, detector: 'checkoutForm' },
+  { id: 'content-product-list', pageType: 'product-list', priority: 30, detector: 'productGrid' },
+  { id: 'content-product-detail', pageType: 'product-detail', priority: 20, detector: 'productDetail' }
+];
+
+/**
+ * Builds a classifier from config rules.
+ *
+ * Custom rules are added on top of the defaults (and default to a
+ * priority above them) unless `replaceDefaults` is set. A custom rule
+ * with the same id as a default replaces it.
+ */
+function createPageTypeClassifier(customRules = [], options = {}) {
+  const { replaceDefaults = false } = options;
+  const custom = customRules.map((rule, index) => compileRule(rule, index, DEFAULT_RULE_PRIORITY));
+  const customIds = new Set(custom.map(rule => rule.id));
+  const defaults = replaceDefaults
+    ? []
+    : DEFAULT_PAGE_TYPE_RULES
+      .filter(rule => !customIds.has(rule.id))
+      .map((rule, index) => compileRule(rule, index, 0));
+
+  // Stable sort: equal priorities keep their declaration order
+  const rules = [...custom, ...defaults].sort((a, b) => b.priority - a.priority);
+
+  return {
+    rules,
+    classify: (page, $) => classify(rules, page, $)
+  };
+}
+
+function classify(rules, page, $) {
+  const context = createContext(page, $);
+
+  for (let i = 0; i < rules.length;) {
+    const priority = rules[i].priority;
+    const tier = [];
+    while (i < rules.length && rules[i].priority === priority) {
+      tier.push(rules[i]);
+      i += 1;
+    }
+
+    const matches = tier
+      .map(rule => ({ rule, signals: matchRule(rule, context) }))
+      .filter(result => result.signals);
+    if (matches.length === 0) continue;
+
+    const scores = new Map();
+    matches.forEach(({ rule }) => {
+      scores.set(rule.pageType, (scores.get(rule.pageType) || 0) + rule.weight);
+    });
+    // Map iteration follows first-match order, which breaks ties
+    let pageType = null;
+    let score = -Infinity;
+    scores.forEach((value, type) => {
+      if (value > score) {
+        pageType = type;
+        score = value;
+      }
+    });
+
+    const winner = matches.find(result => result.rule.pageType === pageType);
+    return {
+      pageType,
+      classification: {
+        ruleId: winner.rule.id,
+        priority,
+        score,
+        signals: winner.signals,
+        matchedRules: matches.map(result => result.rule.id)
+      }
+    };
+  }
+
+  return {
+    pageType: FALLBACK_PAGE_TYPE,
+    classification: { ruleId: null, priority: null, score: 0, signals: [], matchedRules: [] }
+  };
+}
+
+// Lazily computed so rules only pay for the signals they use
+function createContext(page, $) {
+  let bodyText = null;
+  return {
+    url: page.url,
+    title: (page.title || '').toLowerCase(),
+    language: page.language?.lang || null,
+    schemaType: page.structuredData?.mainType || null,
+    ogType: (page.structuredData?.ogType || '').replace(/^og:/, ''),
+    $,
+    getBodyText: () => {
+      if (bodyText === null) {
+        bodyText = $('body').text().replace(/\s+/g, ' ').toLowerCase();
+      }
+      return bodyText;
+    }
+  };
+}
+
+/**
+ * Returns the list of matched signal kinds, or null when any condition
+ * of the rule fails.
+ */
+function matchRule(rule, context) {
+  const signals = [];
+
+  if (rule.url.length > 0) {
+    if (!rule.url.some(regex => regex.test(context.url))) return null;
+    signals.push('url');
+  }
+  if (rule.titleKeywords.length > 0) {
+    if (!rule.titleKeywords.some(keyword => context.title.includes(keyword))) return null;
+    signals.push('title');
+  }
+  if (rule.selectors.length > 0) {
+    if (!rule.selectors.some(selector => safeSelect(context.$, selector))) return null;
+    signals.push('selector');
+  }
+  if (rule.textKeywords.length > 0) {
+    const text = context.getBodyText();
+    if (!rule.textKeywords.some(keyword => text.includes(keyword))) return null;
+    signals.push('text');
+  }
+  if (rule.localizedUrl) {
+    const keywords = getLocalizedSlugKeywords(PAGE_TYPE_KEYWORDS, rule.localizedUrl, context.language);
+    if (!matchesLocalizedSlug(context.url, keywords)) return null;
+    signals.push(`url:${context.language || 'en'}`);
+  }
+  if (rule.localizedTitle) {
+    const keywords = getLocalizedKeywords(PAGE_TYPE_KEYWORDS, rule.localizedTitle, context.language);
+    if (!keywords.some(keyword => context.title.includes(keyword))) return null;
+    signals.push(`title:${context.language || 'any'}`);
+  }
+  if (rule.schemaType.length > 0) {
+    if (!rule.schemaType.includes(context.schemaType)) return null;
+    signals.push(`schema:${context.schemaType}`);
+  }
+  if (rule.ogType.length > 0) {
+    const ogType = context.ogType;
+    if (!rule.ogType.some(type => ogType === type || ogType.startsWith(`${type}.`))) return null;
+    signals.push(`og:${ogType}`);
+  }
+  if (rule.detector) {
+    if (!rule.detector(context.$, context.language)) return null;
+    signals.push(`detector:${rule.detectorName}`);
+  }
+
+  return signals.length > 0 ? signals : null;
+}
+
+function compileRule(rule, index, defaultPriority) {
+  if (!rule || typeof rule.pageType !== 'string' || !rule.pageType) {
+    throw new Error(`Page type rule ${index + 1}: pageType is required`);
+  }
+
+  const id = rule.id || `${rule.pageType}-${index + 1}`;
+  const detectorName = rule.detector || null;
+  if (detectorName && !DETECTORS[detectorName]) {
+    throw new Error(`Page type rule ${id}: unknown detector "${detectorName}"`);
+  }
+  ['localizedUrl', 'localizedTitle'].forEach(kind => {
+    if (rule[kind] && !PAGE_TYPE_KEYWORDS[rule[kind]]) {
+      throw new Error(`Page type rule ${id}: unknown ${kind} keyword set "${rule[kind]}"`);
+    }
+  });
+
+  const compiled = {
+    id,
+    pageType: rule.pageType,
+    priority: Number.isFinite(rule.priority) ? rule.priority : defaultPriority,
+    weight: Number.isFinite(rule.weight) ? rule.weight : 1,
+    url: toArray(rule.url).map(pattern => compileRegex(pattern, id)),
+    titleKeywords: toArray(rule.titleKeywords).map(keyword => String(keyword).toLowerCase()),
+    selectors: toArray(rule.selectors).map(String),
+    textKeywords: toArray(rule.textKeywords).map(keyword => String(keyword).toLowerCase()),
+    localizedUrl: rule.localizedUrl || null,
+    localizedTitle: rule.localizedTitle || null,
+    schemaType: toArray(rule.schemaType).map(String),
+    ogType: toArray(rule.ogType).map(type => String(type).toLowerCase().replace(/^og:/, '')),
+    detector: detectorName ? DETECTORS[detectorName] : null,
+    detectorName
+  };
+
+  const hasCondition = compiled.url.length || compiled.titleKeywords.length ||
+    compiled.selectors.length || compiled.textKeywords.length ||
+    compiled.localizedUrl || compiled.localizedTitle ||
+    compiled.schemaType.length || compiled.ogType.length || compiled.detector;
+  if (!hasCondition) {
+    throw new Error(`Page type rule ${id}: at least one condition is required`);
+  }
+  return compiled;
+}
+
+function compileRegex(pattern, id) {
+  try {
+    if (pattern instanceof RegExp) return pattern;
+    if (pattern && typeof pattern === 'object') return new RegExp(pattern.regex, pattern.flags ?? 'i');
+    return new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`Page type rule ${id}: invalid url pattern ${JSON.stringify(pattern)} (${error.message})`);
+  }
+}
+
+// Invalid selectors in config should not crash the whole analysis
+function safeSelect($, selector) {
+  try {
+    return $(selector).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  createPageTypeClassifier,
+  DEFAULT_PAGE_TYPE_RULES,
+  DETECTORS
+};
@@ -0,0 +1,65 @@
+const { URL } = require('url');
+
+// File extensions that are never HTML pages, mapped to a readable kind
+const DOCUMENT_EXTENSIONS = {
+  pdf: 'pdf',
+  doc: 'word', docx: 'word', odt: 'word', rtf: 'word',
+  xls: 'spreadsheet', xlsx: 'spreadsheet', ods: 'spreadsheet', csv: 'spreadsheet',
+  ppt: 'presentation', pptx: 'presentation', odp: 'presentation', key: 'presentation',
+  zip: 'archive', gz: 'archive', tgz: 'archive', tar: 'archive', rar: 'archive', '7z': 'archive', bz2: 'archive',
+  png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image', svg: 'image', bmp: 'image', ico: 'image', avif: 'image', tif: 'image', tiff: 'image',
+  mp4: 'video', mov: 'video', webm: 'video', avi: 'video', mkv: 'video', m4v: 'video',
+  mp3: 'audio', wav: 'audio', ogg: 'audio', m4a: 'audio', flac: 'audio',
+  exe: 'binary', dmg: 'binary', msi: 'binary', apk: 'binary', pkg: 'binary', deb: 'binary', rpm: 'binary', iso: 'binary',
+  epub: 'ebook', mobi: 'ebook',
+  json: 'data', xml: 'data', txt: 'text',
+  woff: 'font', woff2: 'font', ttf: 'font', otf: 'font',
+  css: 'asset', js: 'asset', map: 'asset'
+};
+
+/**
+ * Returns the lowercase extension when the URL path ends in a known
+ * non-HTML extension, otherwise null.
+ */
+function getDocumentExtension(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  const match = pathname.toLowerCase().match(/\.([a-z0-9]{1,5})$/);
+  return match && DOCUMENT_EXTENSIONS[match[1]] ? match[1] : null;
+}
+
+/**
+ * A missing content type is treated as HTML, since many servers omit it
+ * for pages.
+ */
+function isHtmlContentType(contentType) {
+  if (!contentType) return true;
+  const type = String(contentType).split(';')[0].trim().toLowerCase();
+  return type === 'text/html' || type === 'application/xhtml+xml';
+}
+
+/**
+ * Classifies a document by extension first, then by content type.
+ */
+function getDocumentKind(url, contentType) {
+  const extension = getDocumentExtension(url);
+  if (extension) return DOCUMENT_EXTENSIONS[extension];
+
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'application/pdf') return 'pdf';
+  if (/zip|compressed|tar|gzip/.test(type)) return 'archive';
+  if (/json|xml/.test(type)) return 'data';
+  const [family] = type.split('/');
+  if (['image', 'video', 'audio', 'font', 'text'].includes(family)) return family;
+  return 'binary';
+}
+
+module.exports = {
+  getDocumentExtension,
+  isHtmlContentType,
+  getDocumentKind
+};
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const { URL } = require('url');
+
+/**
+ * Fetches and parses robots.txt for an origin.
+ *
+ * Availability rules follow RFC 9309:
+ * - 2xx: parse the file
+ * - 4xx: no robots.txt, everything is allowed
+ * - 5xx / unreachable: assume everything is disallowed
+ */
+async function fetchRobots(origin, options = {}) {
+  const { timeout, userAgent, abortSignal } = options;
+  const robotsUrl = new URL('/robots.txt', origin).href;
+
+  try {
+    const response = await axios.get(robotsUrl, {
+      timeout,
+      headers: {
+        'User-Agent': userAgent
+      },
+      maxRedirects: 5,
+      responseType: 'text',
+      signal: abortSignal || undefined,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 200 && response.status < 300) {
+      return parseRobots(String(response.data || ''));
+    }
+    if (response.status >= 400 && response.status < 500) {
+      return { groups: [], sitemaps: [], status: 'missing' };
+    }
+    return createDisallowAll('unreachable');
+  } catch (error) {
+    if (abortSignal?.aborted) {
+      throw error;
+    }
+    return createDisallowAll('unreachable');
+  }
+}
+
+/**
+ * Parses robots.txt content into user-agent groups.
+ * Consecutive user-agent lines share one group; any rule line closes it.
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      return;
+    }
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    collectingAgents = false;
+    if (!current) return;
+
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow matches nothing, so it can be dropped
+      if (!value) return;
+      current.rules.push({
+        type: key,
+        pattern: value,
+        regex: patternToRegex(value)
+      });
+    } else if (key === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  });
+
+  return { groups, sitemaps, status: 'ok' };
+}
+
+/**
+ * Checks whether a URL may be fetched by the given user-agent.
+ * The longest matching pattern wins; Allow wins ties.
+ */
+function isAllowedByRobots(robots, url, userAgent) {
+  if (!robots) return true;
+  if (robots.status === 'unreachable') return false;
+
+  let target;
+  try {
+    const urlObj = new URL(url);
+    if (urlObj.pathname === '/robots.txt') return true;
+    target = urlObj.pathname + urlObj.search;
+  } catch {
+    return false;
+  }
+
+  const rules = selectGroups(robots, userAgent).flatMap(group => group.rules);
+  let best = null;
+
+  rules.forEach(rule => {
+    if (!rule.regex.test(target)) return;
+    if (
+      !best ||
+      rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.type === 'allow')
+    ) {
+      best = rule;
+    }
+  });
+
+  return !best || best.type === 'allow';
+}
+
+/**
+ * Returns the Crawl-delay (in seconds) for the user-agent, or null.
+ */
+function getCrawlDelay(robots, userAgent) {
+  if (!robots) return null;
+  const delays = selectGroups(robots, userAgent)
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+  return delays.length ? Math.max(...delays) : null;
+}
+
+// Groups naming our product token take precedence over the '*' group.
+// Per RFC 9309 an agent line matches case-insensitively when it is our
+// token or a prefix of it ('flowmapper' matches 'flowmapperbot'); groups
+// for 'bot' or 'mapper' don't apply.
+function selectGroups(robots, userAgent) {
+  const token = getProductToken(userAgent);
+  const specific = robots.groups.filter(group =>
+    group.agents.some(agent => {
+      // 'FlowMapperBot/1.0' names the same product as 'FlowMapperBot'
+      const product = agent.split('/')[0].trim();
+      return product !== '*' && product && token && token.startsWith(product);
+    })
+  );
+  if (specific.length > 0) return specific;
+  return robots.groups.filter(group => group.agents.includes('*'));
+}
+
+function getProductToken(userAgent) {
+  const match = String(userAgent || '').match(/([A-Za-z_-]*bot[A-Za-z_-]*)/i);
+  return (match ? match[1] : String(userAgent || '')).toLowerCase();
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+function createDisallowAll(status) {
+  return { groups: [], sitemaps: [], status };
+}
+
+module.exports = {
+  fetchRobots,
+  parseRobots,
+  isAllowedByRobots,
+  getCrawlDelay
+};
@@ -0,0 +1,60 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Captures page screenshots during Playwright crawls.
+ *
+ * Per page, three files are written to `dir`:
+ * - <hash>-full.png      full-page capture
+ * - <hash>-viewport.png  what a visitor sees first
+ * - <hash>-thumb.jpg     viewport scaled to `thumbnailWidth`
+ *
+ * Thumbnails are rendered by Playwright itself (the viewport image is
+ * drawn scaled down in a scratch page), so no image library is needed.
+ * Returned references are `baseUrl + file` when a base URL is given,
+ * otherwise absolute file paths.
+ */
+function createScreenshotter(dir, options = {}) {
+  const { baseUrl = null, thumbnailWidth = 320, fullPage = true } = options;
+  const toRef = file => (baseUrl ? `${baseUrl}${file}` : path.join(dir, file));
+
+  return {
+    async capture(page, url) {
+      const name = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+      const files = {
+        fullPage: `${name}-full.png`,
+        viewport: `${name}-viewport.png`,
+        thumbnail: `${name}-thumb.jpg`
+      };
+
+      await fs.mkdir(dir, { recursive: true });
+      const viewportImage = await page.screenshot({ path: path.join(dir, files.viewport) });
+      if (fullPage) {
+        await page.screenshot({ path: path.join(dir, files.fullPage), fullPage: true });
+      }
+      await renderThumbnail(page.context(), viewportImage, path.join(dir, files.thumbnail), thumbnailWidth);
+
+      return {
+        fullPage: fullPage ? toRef(files.fullPage) : null,
+        viewport: toRef(files.viewport),
+        thumbnail: toRef(files.thumbnail)
+      };
+    }
+  };
+}
+
+async function renderThumbnail(context, image, filePath, width) {
+  const page = await context.newPage();
+  try {
+    await page.setContent(
+      `<style>html,body{margin:0}img{display:block;width:${width}px}</style>` +
+      `<img src="data:image/png;base64,${image.toString('base64')}">`
+    );
+    await page.locator('img').screenshot({ path: filePath, type: 'jpeg', quality: 70 });
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = { createScreenshotter };
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { URL } = require('url');
+
+// Same default as the crawler's maxPageBytes
+const DEFAULT_MAX_SITEMAP_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Discovers page URLs published in a site's sitemaps.
+ *
+ * Sources:
+ * - Sitemap: lines from robots.txt
+ * - The conventional /sitemap.xml location
+ * - Nested sitemap indexes (bounded recursion)
+ * - Gzipped sitemaps (.xml.gz)
+ *
+ * Sitemaps larger than `maxBytes`, downloaded or after gunzip, are
+ * skipped and reported through `onFailure(url, error)`, so a small gzip
+ * bomb cannot exhaust memory.
+ *
+ * Returns entries sorted by declared priority, most important first.
+ */
+async function discoverSitemapUrls(startUrl, options = {}) {
+  const {
+    robotsSitemaps = [],
+    timeout,
+    userAgent,
+    maxUrls = 500,
+    maxIndexDepth = 3,
+    maxBytes = DEFAULT_MAX_SITEMAP_BYTES,
+    abortSignal = null,
+    onFailure = null,
+    onLog = null
+  } = options;
+
+  const origin = new URL(startUrl).origin;
+  const candidates = [...robotsSitemaps, new URL('/sitemap.xml', origin).href];
+  const seenSitemaps = new Set();
+  const entries = new Map();
+
+  const visitSitemap = async (sitemapUrl, indexDepth) => {
+    if (entries.size >= maxUrls || indexDepth > maxIndexDepth) return;
+
+    let absoluteUrl;
+    try {
+      absoluteUrl = new URL(sitemapUrl, origin).href;
+    } catch {
+      return;
+    }
+    if (seenSitemaps.has(absoluteUrl)) return;
+    seenSitemaps.add(absoluteUrl);
+
+    let xml;
+    try {
+      xml = await fetchSitemap(absoluteUrl, { timeout, userAgent, maxBytes, abortSignal });
+    } catch (error) {
+      if (abortSignal?.aborted) throw error;
+      log(onLog, `Sitemap unavailable ${absoluteUrl}: ${error.message}`);
+      if (error.tooLarge && typeof onFailure === 'function') {
+        onFailure(absoluteUrl, error);
+      }
+      return;
+    }
+
+    const parsed = parseSitemap(xml);
+    log(onLog, `Sitemap ${absoluteUrl}: ${parsed.urls.length} URLs, ${parsed.sitemaps.length} nested sitemaps`);
+
+    parsed.urls.forEach(entry => {
+      if (entries.size >= maxUrls || entries.has(entry.url)) return;
+      entries.set(entry.url, entry);
+    });
+
+    for (const nested of parsed.sitemaps) {
+      await visitSitemap(nested, indexDepth + 1);
+    }
+  };
+
+  for (const candidate of candidates) {
+    await visitSitemap(candidate, 0);
+  }
+
+  return Array.from(entries.values()).sort((a, b) => b.priority - a.priority);
+}
+
+async function fetchSitemap(url, options) {
+  const { timeout, userAgent, maxBytes, abortSignal } = options;
+  let response;
+  try {
+    response = await axios.get(url, {
+      timeout,
+      headers: {
+        'User-Agent': userAgent
+      },
+      maxRedirects: 5,
+      // Also caps bodies decompressed from Content-Encoding: gzip
+      maxContentLength: maxBytes,
+      responseType: 'arraybuffer',
+      signal: abortSignal || undefined
+    });
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) throw createTooLargeError(url, maxBytes);
+    throw error;
+  }
+
+  let buffer = Buffer.from(response.data);
+  // Gzip magic bytes: served as a .gz file rather than with Content-Encoding
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw createTooLargeError(url, maxBytes);
+      throw error;
+    }
+  }
+  return buffer.toString('utf8');
+}
+
+function createTooLargeError(url, maxBytes) {
+  const error = new Error(`Sitemap exceeds ${maxBytes} bytes: ${url}`);
+  error.tooLarge = true;
+  return error;
+}
+
+/**
+ * Parses a sitemap or sitemap index.
+ * Plain-text sitemaps (one URL per line) are also accepted.
+ */
+function parseSitemap(content) {
+  const urls = [];
+  const sitemaps = [];
+
+  if (!/<(urlset|sitemapindex)[\s>]/i.test(content)) {
+    content.split(/\r?\n/).forEach(line => {
+      const candidate = line.trim();
+      if (/^https?:\/\//i.test(candidate)) {
+        urls.push({ url: candidate, priority: 0.5, lastmod: null });
+      }
+    });
+    return { urls, sitemaps };
+  }
+
+  const $ = cheerio.load(content, { xmlMode: true });
+
+  $('sitemapindex > sitemap > loc').each((i, elem) => {
+    const loc = $(elem).text().trim();
+    if (loc) sitemaps.push(loc);
+  });
+
+  $('urlset > url').each((i, elem) => {
+    const $url = $(elem);
+    const loc = $url.children('loc').text().trim();
+    if (!loc) return;
+
+    const rawPriority = $url.children('priority').text().trim();
+    const priority = rawPriority ? Number(rawPriority) : NaN;
+    urls.push({
+      url: loc,
+      priority: Number.isFinite(priority) ? Math.min(Math.max(priority, 0), 1) : 0.5,
+      lastmod: $url.children('lastmod').text().trim() || null
+    });
+  });
+
+  return { urls, sitemaps };
+}
+
+function log(onLog, message) {
+  if (typeof onLog === 'function') {
+    onLog(message);
+  } else {
+    console.log(message);
+  }
+}
+
+module.exports = { discoverSitemapUrls, parseSitemap };
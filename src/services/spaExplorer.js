@@ -0,0 +1,216 @@
+const { isHashRoute } = require('./urlNormalizer');
+
+/**
+ * Discovers client-side navigation that never shows up as <a href>.
+ *
+ * Strategy (Playwright only):
+ * - Instrument history.pushState/replaceState and addEventListener('click')
+ *   before any page script runs
+ * - Collect clickable candidates: buttons, [role=link], elements with click
+ *   listeners or pointer cursors (anchors are already handled by the crawler)
+ * - Click each candidate in a sandboxed page and record URL changes
+ *
+ * The sandbox aborts every non-GET request and dismisses dialogs, so clicks
+ * can't submit data. Destructive-looking triggers (logout, delete, ...)
+ * are never clicked.
+ */
+
+const CANDIDATE_SELECTOR = [
+  'button',
+  '[role="link"]',
+  '[role="button"]',
+  '[role="tab"]',
+  '[role="menuitem"]',
+  '[onclick]',
+  '[data-href]',
+  '[data-to]',
+  '[data-flowmapper-click]'
+].join(', ');
+
+const UNSAFE_TRIGGER_PATTERN = /log\s?out|sign\s?out|delete|remove|unsubscribe|cancel|deactivate|pay now|place order|purchase/i;
+
+async function exploreSpaNavigation(context, url, options = {}) {
+  const { timeout, maxClicks = 20, settleMs = 500, abortSignal = null } = options;
+  const page = await context.newPage();
+  const discovered = new Map();
+  let activeTrigger = null;
+
+  const record = (href, trigger, navigationType) => {
+    if (!href || !trigger || discovered.has(href)) return;
+    discovered.set(href, { href, trigger, navigationType });
+  };
+
+  try {
+    await page.addInitScript(instrumentPage);
+    await page.route('**/*', route => {
+      const method = route.request().method();
+      // fallback() hands GETs on to context-level routes (e.g. auth headers)
+      return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? route.fallback() : route.abort();
+    });
+    page.on('dialog', dialog => dialog.dismiss().catch(() => {}));
+    page.on('popup', popup => {
+      record(popup.url(), activeTrigger, 'popup');
+      popup.close().catch(() => {});
+    });
+
+    await page.goto(url, { waitUntil: 'networkidle', timeout });
+    const baselineUrl = page.url();
+    const candidates = await markCandidates(page, maxClicks);
+
+    for (const candidate of candidates) {
+      throwIfAborted(abortSignal);
+      if (UNSAFE_TRIGGER_PATTERN.test(candidate.text)) continue;
+
+      // Return to the starting state; candidate markers are re-applied in
+      // the same DOM order, so ids stay stable across reloads
+      if (!isSameRoute(page.url(), baselineUrl)) {
+        await page.goto(baselineUrl, { waitUntil: 'networkidle', timeout });
+        await markCandidates(page, maxClicks);
+      }
+
+      const locator = page.locator(`[data-flowmapper-candidate="${candidate.id}"]`).first();
+      if (await locator.count() === 0) continue;
+
+      activeTrigger = candidate;
+      await page.evaluate(() => { window.__flowMapperRoutes = []; }).catch(() => {});
+
+      try {
+        await locator.click({ timeout: 2000, noWaitAfter: true });
+      } catch {
+        continue;
+      }
+
+      await page.waitForLoadState('networkidle', { timeout: settleMs * 4 }).catch(() => {});
+      await page.waitForTimeout(settleMs);
+
+      const routes = await page.evaluate(() => window.__flowMapperRoutes || []).catch(() => []);
+      const currentUrl = page.url();
+      if (!isSameRoute(currentUrl, baselineUrl)) {
+        record(currentUrl, candidate, routes.length > 0 ? 'pushState' : 'click');
+      }
+    }
+  } finally {
+    await page.close().catch(() => {});
+  }
+
+  return Array.from(discovered.values());
+}
+
+async function markCandidates(page, maxClicks) {
+  return page.evaluate(collectCandidates, { selector: CANDIDATE_SELECTOR, maxClicks });
+}
+
+// Runs in the browser before any page script.
+function instrumentPage() {
+  window.__flowMapperRoutes = [];
+
+  ['pushState', 'replaceState'].forEach(name => {
+    const original = history[name];
+    history[name] = function (state, title, url) {
+      if (url) {
+        try {
+          window.__flowMapperRoutes.push(new URL(url, location.href).href);
+        } catch (error) {
+          // Ignore malformed route URLs
+        }
+      }
+      return original.apply(this, arguments);
+    };
+  });
+
+  const originalAddEventListener = EventTarget.prototype.addEventListener;
+  EventTarget.prototype.addEventListener = function (type, listener, listenerOptions) {
+    if (['click', 'mousedown', 'pointerdown'].includes(type) && this instanceof Element) {
+      this.setAttribute('data-flowmapper-click', '1');
+    }
+    return originalAddEventListener.call(this, type, listener, listenerOptions);
+  };
+}
+
+// Runs in the browser: tags clickable candidates and describes them.
+function collectCandidates({ selector, maxClicks }) {
+  const isVisible = el => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  // Frameworks that delegate events (e.g. React) leave no per-element
+  // listener, so pointer cursors are used as a fallback signal
+  const pool = Array.from(document.querySelectorAll(selector));
+  document.querySelectorAll('body div, body span, body li, body img, body svg').forEach(el => {
+    const parent = el.parentElement;
+    if (
+      window.getComputedStyle(el).cursor === 'pointer' &&
+      !(parent && window.getComputedStyle(parent).cursor === 'pointer')
+    ) {
+      pool.push(el);
+    }
+  });
+
+  const seen = new Set();
+  const pageHeight = Math.max(document.body.scrollHeight, 1);
+  const results = [];
+
+  document.querySelectorAll('[data-flowmapper-candidate]').forEach(el => {
+    el.removeAttribute('data-flowmapper-candidate');
+  });
+
+  for (const el of pool) {
+    if (results.length >= maxClicks) break;
+    if (seen.has(el) || el.closest('a[href]') || !isVisible(el)) continue;
+    seen.add(el);
+
+    // Never submit forms from the explorer
+    const isSubmit = el.tagName === 'BUTTON' && (el.getAttribute('type') || 'submit') === 'submit';
+    if (isSubmit && el.closest('form')) continue;
+
+    const text = (el.innerText || el.getAttribute('aria-label') || el.getAttribute('title') || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 100);
+    const rect = el.getBoundingClientRect();
+    const ratio = (rect.top + window.scrollY) / pageHeight;
+    const id = String(results.length);
+    el.setAttribute('data-flowmapper-candidate', id);
+
+    results.push({
+      id,
+      tag: el.tagName.toLowerCase(),
+      role: el.getAttribute('role'),
+      text,
+      inHeader: Boolean(el.closest('header, [role="banner"]')),
+      inFooter: Boolean(el.closest('footer, [role="contentinfo"]')),
+      inNav: Boolean(el.closest('nav, [role="navigation"]')),
+      inSidebar: Boolean(el.closest('aside, .sidebar, [role="complementary"]')),
+      position: ratio < 0.2 ? 'top' : ratio > 0.8 ? 'bottom' : 'middle'
+    });
+  }
+
+  return results;
+}
+
+// Hash-only changes count as navigation only for hash routers (#/route)
+function isSameRoute(a, b) {
+  try {
+    const urlA = new URL(a);
+    const urlB = new URL(b);
+    const routeHash = url => (isHashRoute(url.hash) ? url.hash : '');
+    return urlA.origin === urlB.origin &&
+      urlA.pathname === urlB.pathname &&
+      urlA.search === urlB.search &&
+      routeHash(urlA) === routeHash(urlB);
+  } catch {
+    return a === b;
+  }
+}
+
+function throwIfAborted(abortSignal) {
+  if (abortSignal?.aborted) {
+    const error = new Error('Crawl cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+module.exports = { exploreSpaNavigation };
@@ -0,0 +1,307 @@
+const { URL } = require('url');
+
+// Types that describe the site or page chrome rather than page content
+const IGNORED_TYPES = new Set([
+  'WebSite', 'WebPage', 'Organization', 'Corporation', 'LocalBusiness', 'Store', 'Person',
+  'BreadcrumbList', 'SiteNavigationElement', 'WPHeader', 'WPFooter', 'WPSideBar',
+  'ImageObject', 'VideoObject', 'SearchAction', 'ListItem', 'Brand', 'Offer', 'AggregateOffer',
+  'AggregateRating', 'Rating', 'Review', 'PostalAddress', 'ContactPoint'
+]);
+
+// WebPage subtypes declare the page's purpose directly
+const PAGE_TYPES = new Set([
+  'CollectionPage', 'SearchResultsPage', 'FAQPage', 'QAPage', 'CheckoutPage',
+  'ContactPage', 'AboutPage', 'ProfilePage'
+]);
+
+const ARTICLE_TYPES = new Set(['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'Report']);
+
+// Lists only describe a catalog page when their items are products or offers
+const LIST_TYPES = new Set(['ItemList', 'OfferCatalog']);
+const PRODUCT_ITEM_TYPES = new Set([
+  'Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'Offer', 'AggregateOffer'
+]);
+
+const MAX_JSON_LD_BYTES = 512 * 1024;
+
+/**
+ * Extracts schema.org structured data (JSON-LD and microdata) and Open
+ * Graph tags from a page.
+ *
+ * Returns:
+ * - types:      every top-level schema.org type found (e.g. ['Product', 'BreadcrumbList'])
+ * - mainType:   the type that describes the page itself (see getMainType)
+ * - ogType:     the og:type value, lowercased, or null
+ * - product:    { name, sku, brand, price, currency, availability, image } of the main product
+ * - breadcrumbs: [{ name, url }] from the first BreadcrumbList
+ * - article:    { headline, author, datePublished }
+ * - faq:        { questionCount }
+ *
+ * Entities that are not present are null (breadcrumbs: []).
+ */
+function extractStructuredData($, pageUrl) {
+  const entities = [...extractJsonLd($), ...extractMicrodata($, pageUrl)];
+  const openGraph = extractOpenGraph($);
+
+  const types = Array.from(new Set(entities.flatMap(entity => entity['@type'])));
+  const products = dedupeProducts(entities.filter(entity => hasType(entity, 'Product') || hasType(entity, 'ProductGroup')));
+  const mainProduct = products.length === 1 ? products[0] : findMainEntity(entities, 'Product');
+  const breadcrumbList = entities.find(entity => hasType(entity, 'BreadcrumbList'));
+  const article = entities.find(entity => entity['@type'].some(type => ARTICLE_TYPES.has(type)));
+  const faq = entities.find(entity => hasType(entity, 'FAQPage'));
+
+  return {
+    types,
+    mainType: getMainType(entities, products),
+    ogType: openGraph.type,
+    product: mainProduct ? describeProduct(mainProduct, pageUrl) : describeOpenGraphProduct(openGraph),
+    breadcrumbs: breadcrumbList ? describeBreadcrumbs(breadcrumbList, pageUrl) : [],
+    article: article ? describeArticle(article) : null,
+    faq: faq ? { questionCount: toArray(faq.mainEntity).length } : null
+  };
+}
+
+/**
+ * The page's main type, in order of preference:
+ * - a WebPage subtype (CollectionPage, FAQPage, CheckoutPage, ...)
+ * - the type of a WebPage's / ItemPage's `mainEntity`
+ * - 'Product' for exactly one product; 'ItemList' for several products
+ *   (category pages often mark up every tile) or an ItemList /
+ *   OfferCatalog whose items are products or offers
+ * - the first article type
+ * - the first other content type
+ *
+ * Lists of anything else (blog posts, breadcrumb-like link lists) never
+ * become the main type.
+ */
+function getMainType(entities, products) {
+  const pageEntity = entities.find(entity => entity['@type'].some(type => PAGE_TYPES.has(type)));
+  if (pageEntity) return pageEntity['@type'].find(type => PAGE_TYPES.has(type));
+
+  const mainEntity = entities
+    .filter(entity => hasType(entity, 'WebPage') || hasType(entity, 'ItemPage'))
+    .map(entity => toArray(entity.mainEntity)[0])
+    .find(entity => entity && typeof entity === 'object' && entity['@type']);
+  if (mainEntity && !isList(mainEntity)) return normalizeTypes(mainEntity['@type'])[0];
+
+  if (products.length === 1) return 'Product';
+  if (products.length > 1 || entities.some(isProductList) || (mainEntity && isProductList(mainEntity))) return 'ItemList';
+
+  const article = entities.find(entity => entity['@type'].some(type => ARTICLE_TYPES.has(type)));
+  if (article) return article['@type'].find(type => ARTICLE_TYPES.has(type));
+
+  const isContentType = type => !IGNORED_TYPES.has(type) && !LIST_TYPES.has(type);
+  const other = entities.find(entity => entity['@type'].some(isContentType));
+  return other ? other['@type'].find(isContentType) : null;
+}
+
+function isList(entity) {
+  return normalizeTypes(entity['@type']).some(type => LIST_TYPES.has(type));
+}
+
+// Items are either the entities themselves or ListItems wrapping them in `item`
+function isProductList(entity) {
+  if (!isList(entity)) return false;
+  return toArray(entity.itemListElement).some(element => {
+    if (!element || typeof element !== 'object') return false;
+    const item = element.item && typeof element.item === 'object' ? element.item : element;
+    return normalizeTypes(item['@type']).some(type => PRODUCT_ITEM_TYPES.has(type));
+  });
+}
+
+function extractJsonLd($) {
+  const entities = [];
+  $('script[type="application/ld+json"]').each((i, elem) => {
+    const raw = $(elem).contents().text();
+    if (!raw || raw.length > MAX_JSON_LD_BYTES) return;
+    let data;
+    try {
+      data = JSON.parse(raw.trim());
+    } catch {
+      // Broken JSON-LD is common; skip the block
+      return;
+    }
+    toArray(data).forEach(item => {
+      if (!item || typeof item !== 'object') return;
+      toArray(item['@graph']).forEach(node => addEntity(entities, node));
+      addEntity(entities, item);
+    });
+  });
+  return entities;
+}
+
+function addEntity(entities, node) {
+  if (!node || typeof node !== 'object' || !node['@type']) return;
+  entities.push({ ...node, '@type': normalizeTypes(node['@type']) });
+}
+
+/**
+ * Top-level microdata items (itemscope without itemprop) converted to
+ * JSON-LD-shaped objects.
+ */
+function extractMicrodata($, pageUrl) {
+  const items = [];
+  $('[itemscope][itemtype]').each((i, elem) => {
+    if ($(elem).attr('itemprop') !== undefined) return;
+    items.push(readMicrodataItem($, elem, pageUrl));
+  });
+  return items.filter(item => item['@type'].length > 0);
+}
+
+function readMicrodataItem($, elem, pageUrl, depth = 0) {
+  const $item = $(elem);
+  const item = { '@type': normalizeTypes(($item.attr('itemtype') || '').split(/\s+/).filter(Boolean)) };
+
+  // Properties of this item are the itemprops whose nearest itemscope is this element
+  $item.find('[itemprop]').each((i, propElem) => {
+    const $prop = $(propElem);
+    const owner = $prop.parent().closest('[itemscope]');
+    if (owner.get(0) !== elem) return;
+
+    const value = $prop.attr('itemscope') !== undefined && depth < 4
+      ? readMicrodataItem($, propElem, pageUrl, depth + 1)
+      : readMicrodataValue($prop, pageUrl);
+    ($prop.attr('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => {
+      if (item[name] === undefined) {
+        item[name] = value;
+      } else {
+        item[name] = [...toArray(item[name]), value];
+      }
+    });
+  });
+
+  return item;
+}
+
+function readMicrodataValue($prop, pageUrl) {
+  if ($prop.attr('content') !== undefined) return $prop.attr('content');
+  const tag = ($prop.get(0).tagName || '').toLowerCase();
+  const urlAttr = { a: 'href', link: 'href', area: 'href', img: 'src', source: 'src', meta: 'content' }[tag];
+  if (urlAttr && $prop.attr(urlAttr)) return resolveUrl($prop.attr(urlAttr), pageUrl);
+  if (tag === 'time' && $prop.attr('datetime')) return $prop.attr('datetime');
+  if (tag === 'data' && $prop.attr('value')) return $prop.attr('value');
+  return $prop.text().replace(/\s+/g, ' ').trim();
+}
+
+function extractOpenGraph($) {
+  const read = property => ($(`meta[property="${property}"]`).attr('content') || '').trim() || null;
+  return {
+    type: (read('og:type') || '').toLowerCase() || null,
+    title: read('og:title'),
+    image: read('og:image'),
+    price: read('product:price:amount') || read('og:price:amount'),
+    currency: read('product:price:currency') || read('og:price:currency')
+  };
+}
+
+function describeProduct(product, pageUrl) {
+  const offer = toArray(product.offers)[0] || {};
+  const offerPrice = offer.price ?? offer.lowPrice ?? toArray(offer.priceSpecification)[0]?.price;
+  return {
+    name: textOf(product.name),
+    sku: textOf(product.sku),
+    brand: textOf(product.brand?.name ?? product.brand),
+    price: toPrice(offerPrice),
+    currency: textOf(offer.priceCurrency ?? toArray(offer.priceSpecification)[0]?.priceCurrency),
+    availability: textOf(offer.availability)?.replace(/^https?:\/\/schema\.org\//, '') || null,
+    image: resolveUrl(textOf(product.image?.url ?? toArray(product.image)[0]), pageUrl)
+  };
+}
+
+function describeOpenGraphProduct(openGraph) {
+  if (!openGraph.type || !openGraph.type.startsWith('product')) return null;
+  return {
+    name: openGraph.title,
+    sku: null,
+    brand: null,
+    price: toPrice(openGraph.price),
+    currency: openGraph.currency,
+    availability: null,
+    image: openGraph.image
+  };
+}
+
+function describeBreadcrumbs(list, pageUrl) {
+  return toArray(list.itemListElement)
+    .filter(element => element && typeof element === 'object')
+    .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+    .map(element => {
+      const item = element.item;
+      const url = typeof item === 'string' ? item : item?.['@id'] ?? item?.url ?? element.url;
+      return {
+        name: textOf(element.name ?? item?.name),
+        url: resolveUrl(textOf(url), pageUrl)
+      };
+    })
+    .filter(crumb => crumb.name || crumb.url);
+}
+
+function describeArticle(article) {
+  return {
+    headline: textOf(article.headline ?? article.name),
+    author: textOf(toArray(article.author)[0]?.name ?? toArray(article.author)[0]),
+    datePublished: textOf(article.datePublished)
+  };
+}
+
+function findMainEntity(entities, type) {
+  const page = entities.find(entity => toArray(entity.mainEntity)[0]?.['@type']);
+  const main = page ? toArray(page.mainEntity)[0] : null;
+  return main && normalizeTypes(main['@type']).includes(type) ? main : null;
+}
+
+// Stores often publish the same product as JSON-LD and as microdata
+function dedupeProducts(products) {
+  const seen = new Set();
+  return products.filter(product => {
+    const key = textOf(product.name)?.toLowerCase() || textOf(product.sku) || textOf(product['@id']);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function hasType(entity, type) {
+  return entity['@type'].includes(type);
+}
+
+// 'http://schema.org/Product' and 'schema:Product' both become 'Product'
+function normalizeTypes(types) {
+  return toArray(types)
+    .filter(type => typeof type === 'string')
+    .map(type => type.replace(/^.*[/#:]/, ''))
+    .filter(Boolean);
+}
+
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let text = String(value).replace(/[^0-9.,-]/g, '');
+  // "1.299,00" uses a decimal comma; "1,299.00" a thousands comma
+  text = /,\d{1,2}$/.test(text) ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+function resolveUrl(value, pageUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, pageUrl).href;
+  } catch {
+    return value;
+  }
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { extractStructuredData };
@@ -0,0 +1,127 @@
+const { URL } = require('url');
+
+// Query parameters that never change page content
+const DEFAULT_TRACKING_PARAMS = [
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+  'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src',
+  'sessionid', 'session_id', 'sid', 'jsessionid', 'phpsessid', 'aspsessionid'
+];
+
+// Matches utm_* variants that are not in the list above
+const TRACKING_PREFIXES = ['utm_'];
+
+/**
+ * Normalizes a URL into its canonical string form.
+ *
+ * Pipeline:
+ * - lowercase scheme and host, drop default ports (via WHATWG URL)
+ * - drop the fragment, except hash-router routes (#/route, #!/route),
+ *   which keep the route without trailing slashes
+ * - drop ;jsessionid= style path parameters
+ * - strip tracking/session query params (defaults + `trackingParams`)
+ * - sort the remaining query keys
+ * - remove trailing slashes (root stays '/')
+ *
+ * Options:
+ * - trackingParams: extra parameter names to strip
+ * - dropQuery: remove the query string entirely
+ * - ignoreScheme: rewrite http to https (for dedup keys only)
+ *
+ * Returns null for unparseable URLs.
+ */
+function normalizeUrl(url, options = {}) {
+  const { trackingParams = [], dropQuery = false, ignoreScheme = false } = options;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  urlObj.hash = getHashRoute(urlObj.hash);
+  if (ignoreScheme && urlObj.protocol === 'http:') {
+    urlObj.protocol = 'https:';
+  }
+
+  const path = urlObj.pathname
+    .replace(/;(jsessionid|phpsessid|sid)=[^/]*/gi, '')
+    .replace(/\/+$/, '');
+  urlObj.pathname = path || '/';
+
+  if (dropQuery) {
+    urlObj.search = '';
+  } else if (urlObj.search) {
+    const stripped = new Set([...DEFAULT_TRACKING_PARAMS, ...trackingParams].map(name => name.toLowerCase()));
+    const params = Array.from(urlObj.searchParams.entries())
+      .filter(([key]) => !isTrackingParam(key, stripped))
+      .sort(([a, aValue], [b, bValue]) => (a === b ? compare(aValue, bValue) : compare(a, b)));
+
+    urlObj.search = params.length ? new URLSearchParams(params).toString() : '';
+  }
+
+  return urlObj.toString();
+}
+
+/**
+ * Builds a normalizer bound to crawl configuration.
+ * `visitKey` additionally ignores the scheme so http/https variants dedupe.
+ */
+function createUrlNormalizer(options = {}) {
+  const { trackingParams = [] } = options;
+  return {
+    normalize: url => normalizeUrl(url, { trackingParams }) || url,
+    visitKey: url => normalizeUrl(url, { trackingParams, ignoreScheme: true }) || url
+  };
+}
+
+/**
+ * Resolves <link rel="canonical"> against the page URL.
+ */
+function extractCanonicalUrl($, pageUrl) {
+  const href = $('link[rel~="canonical"]').first().attr('href');
+  if (!href) return null;
+
+  try {
+    const canonical = new URL(href.trim(), pageUrl);
+    return ['http:', 'https:'].includes(canonical.protocol) ? canonical.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True for fragments that hash routers use as routes: '#/products',
+ * '#!/products'. Plain anchors such as '#pricing' are not routes.
+ */
+function isHashRoute(hash) {
+  return /^#!?\//.test(hash || '');
+}
+
+// '#/products/' -> '#/products'; '#/' and plain anchors -> ''
+function getHashRoute(hash) {
+  if (!isHashRoute(hash)) return '';
+  const route = hash.replace(/\/+$/, '');
+  return /^#!?$/.test(route) ? '' : route;
+}
+
+function isTrackingParam(key, stripped) {
+  const name = key.toLowerCase();
+  return stripped.has(name) || TRACKING_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+function compare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+module.exports = {
+  normalizeUrl,
+  createUrlNormalizer,
+  extractCanonicalUrl,
+  isHashRoute,
+  getHashRoute,
+  DEFAULT_TRACKING_PARAMS
+};
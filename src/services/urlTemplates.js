@@ -0,0 +1,248 @@
+const { URL } = require('url');
+const { getHashRoute } = require('./urlNormalizer');
+
+// Segments that are always variable, mapped to their placeholder
+const ID_PATTERNS = [
+  { name: ':uuid', regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: ':id', regex: /^\d+$/ },
+  { name: ':hash', regex: /^(?=.*\d)[0-9a-f]{12,}$/i },
+  { name: ':slug', regex: /^[a-z0-9]+(?:[-_][a-z0-9]+)*[-_]\d{2,}(?:\.[a-z]{2,5})?$/i }
+];
+
+const MAX_SIGNATURE_FEATURES = 400;
+const CHROME_SELECTOR = 'header, nav, footer, [role="banner"], [role="navigation"], [role="contentinfo"]';
+// Page types too broad to prove that top-level pages share a template
+const GENERIC_PAGE_TYPES = ['content', 'home', 'document'];
+const MAX_SAMPLE_URLS = 5;
+
+/**
+ * Infers URL templates (/product/:id) from crawled pages.
+ *
+ * Path segments become placeholders in two ways:
+ * - segments that look like identifiers (numbers, UUIDs, hashes,
+ *   slugs ending in a number) are always variable
+ * - a literal segment is variable when at least `minInstances` pages
+ *   differ only in that segment and their main content has a similar
+ *   DOM structure (`similarityThreshold`, Jaccard similarity of
+ *   their DOM signatures). Single-segment paths (/about, /pricing) must
+ *   also share a page type other than content/home, since top-level
+ *   pages are usually distinct sections.
+ *
+ * Query values are always variable (/search?q=:q). Hash-router routes
+ * (/#/pricing) are kept literally, so each route is its own template.
+ * Segments are
+ * generalized from the last to the first, so /shoes/:slug and
+ * /hats/:slug stay separate unless the categories themselves vary
+ * enough to collapse.
+ *
+ * Returns { pages, templates }: every page gets a `templateId`, and each
+ * template lists its pattern, instance count and sample URLs.
+ */
+function clusterUrlTemplates(analyzedPages, options = {}) {
+  const { startUrl = null, minInstances = 3, similarityThreshold = 0.5 } = options;
+  const startHost = getHostname(startUrl);
+
+  const entries = analyzedPages.map(page => {
+    const parsed = parseUrl(page.url);
+    return {
+      page,
+      host: parsed ? parsed.host : null,
+      segments: parsed ? parsed.segments.map(toInitialToken) : [],
+      queryKeys: parsed ? parsed.queryKeys : [],
+      hashRoute: parsed ? parsed.hashRoute : '',
+      signature: new Set(page.domSignature || [])
+    };
+  });
+
+  // Only pages with the same host, hash route and path depth can share a template
+  const groups = groupBy(entries.filter(entry => entry.host), entry => `${entry.host}|${entry.hashRoute}|${entry.segments.length}`);
+  groups.forEach(group => {
+    const depth = group[0].segments.length;
+    for (let position = depth - 1; position >= 0; position--) {
+      generalizePosition(group, position, minInstances, similarityThreshold);
+    }
+  });
+
+  const templates = new Map();
+  const pages = entries.map(entry => {
+    if (!entry.host) return { ...entry.page, templateId: entry.page.url };
+
+    const pattern = buildPattern(entry);
+    const templateId = createTemplateId(pattern, entry.host, startHost);
+    if (!templates.has(templateId)) {
+      templates.set(templateId, { id: templateId, host: entry.host, pattern, pageTypes: new Map(), urls: [] });
+    }
+    const template = templates.get(templateId);
+    template.urls.push(entry.page.url);
+    template.pageTypes.set(entry.page.pageType, (template.pageTypes.get(entry.page.pageType) || 0) + 1);
+    return { ...entry.page, templateId };
+  });
+
+  return {
+    pages,
+    templates: Array.from(templates.values()).map(template => ({
+      id: template.id,
+      host: template.host,
+      pattern: template.pattern,
+      pageType: mostCommon(template.pageTypes),
+      instanceCount: template.urls.length,
+      sampleUrls: template.urls.slice(0, MAX_SAMPLE_URLS)
+    }))
+  };
+}
+
+/**
+ * Replaces segment `position` with a placeholder for pages that agree on
+ * every other segment, when enough of them have distinct values there
+ * and a similar DOM structure.
+ */
+function generalizePosition(group, position, minInstances, similarityThreshold) {
+  const siblings = groupBy(group, entry =>
+    entry.segments.map((token, i) => (i === position ? '*' : token)).join('/')
+  );
+  const isTopLevel = position === 0 && group[0].segments.length === 1;
+
+  siblings.forEach(members => {
+    const literals = members.filter(entry => !entry.segments[position].startsWith(':'));
+    // Top-level pages (/about, /pricing, /login) are usually distinct
+    // sections, so DOM similarity alone is not enough: they must also
+    // share a specific page type (e.g. /blue-shoe, /red-hat as products)
+    const pools = isTopLevel
+      ? Array.from(groupBy(literals, entry => entry.page.pageType).entries())
+        .filter(([pageType]) => pageType && !GENERIC_PAGE_TYPES.includes(pageType))
+        .map(([, entries]) => entries)
+      : [literals];
+
+    pools.forEach(pool => {
+      const distinctValues = new Set(pool.map(entry => entry.segments[position]));
+      if (distinctValues.size < minInstances) return;
+
+      const similar = findSimilarCluster(pool, similarityThreshold);
+      if (new Set(similar.map(entry => entry.segments[position])).size < minInstances) return;
+
+      similar.forEach(entry => {
+        entry.segments[position] = ':slug';
+      });
+    });
+  });
+}
+
+/**
+ * The largest set of entries similar to some medoid entry. Pages without
+ * a DOM signature only join each other.
+ */
+function findSimilarCluster(entries, threshold) {
+  let best = [];
+  const candidates = entries.slice(0, 20);
+  candidates.forEach(medoid => {
+    const cluster = entries.filter(entry => similarity(medoid.signature, entry.signature) >= threshold);
+    if (cluster.length > best.length) best = cluster;
+  });
+  return best;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(feature => {
+    if (b.has(feature)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Structural features of the page's main content: "parent>tag.class"
+ * strings for every element. Layout chrome (header, nav, footer and
+ * everything inside them) is ignored, so pages sharing a site layout
+ * are not automatically similar.
+ */
+function computeDomSignature($) {
+  const $main = $('main, [role="main"], #content, #main, article').first();
+  const $root = $main.length ? $main : $('body');
+  const features = new Set();
+
+  $root.find('*').each((i, elem) => {
+    if (features.size >= MAX_SIGNATURE_FEATURES) return false;
+    const tag = (elem.tagName || '').toLowerCase();
+    if (['script', 'style', 'noscript', 'svg', 'path'].includes(tag)) return;
+    if ($(elem).closest(CHROME_SELECTOR).length > 0) return;
+    const parentTag = (elem.parent?.tagName || '').toLowerCase();
+    const classes = ($(elem).attr('class') || '')
+      .split(/\s+/)
+      .filter(name => name && !/\d/.test(name))
+      .sort()
+      .slice(0, 3);
+    features.add(`${parentTag}>${[tag, ...classes].join('.')}`);
+  });
+
+  return Array.from(features);
+}
+
+function toInitialToken(segment) {
+  const match = ID_PATTERNS.find(pattern => pattern.regex.test(segment));
+  return match ? match.name : segment;
+}
+
+function buildPattern(entry) {
+  const path = `/${entry.segments.join('/')}`;
+  const query = entry.queryKeys.map(key => `${key}=:${key}`).join('&');
+  return (query ? `${path}?${query}` : path) + entry.hashRoute;
+}
+
+// Same shape as node IDs: no leading slash, host prefix for other hosts
+function createTemplateId(pattern, host, startHost) {
+  const id = pattern.replace(/^\/|\/$/g, '').replace(/\/(?=[?#])/, '');
+  if (startHost && host.replace(/^www\./, '') !== startHost.replace(/^www\./, '')) {
+    return id ? `${host}/${id}` : host;
+  }
+  return id || 'home';
+}
+
+function parseUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return {
+      host: urlObj.hostname,
+      segments: urlObj.pathname.split('/').filter(Boolean),
+      queryKeys: Array.from(new Set(urlObj.searchParams.keys())).sort(),
+      hashRoute: getHashRoute(urlObj.hash)
+    };
+  } catch {
+    return null;
+  }
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+function mostCommon(counts) {
+  let best = null;
+  let bestCount = -1;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  clusterUrlTemplates,
+  computeDomSignature
+};
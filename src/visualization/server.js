@@ -1,19 +1,28 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
 const cors = require('cors');
 const { crawlAndExtractFlows } = require('../services/flowMapper');
+const { loadCheckpoint } = require('../services/crawlCheckpoint');
 const activeJobs = new Map();
 const activeLogs = new Map();
+// jobId -> SHA-256 of the token that unlocks the job's exported session
+const sessionTokens = new Map();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Get the project root directory (two levels up from src/visualization)
 const projectRoot = path.join(__dirname, '../..');
+const checkpointDir = path.join(projectRoot, 'output', 'checkpoints');
+const sessionDir = path.join(projectRoot, 'output', 'sessions');
+const screenshotDir = path.join(projectRoot, 'output', 'screenshots');
 
-// Middleware
-app.use(cors());
+// Middleware. The exported session route never gets CORS headers, so
+// other origins can't read session cookies.
+const corsMiddleware = cors();
+app.use((req, res, next) => (isSessionRoute(req.path) ? next() : corsMiddleware(req, res, next)));
 app.use(express.json());
 
 // Fetch logs for a job
@@ -44,69 +53,184 @@ app.post('/api/cancel-crawl', (req, res) => {
 
 // API endpoint to trigger a fresh crawl + flow extraction
 app.post('/api/extract-flows', async (req, res) => {
+  const { startUrl, credentials, crawlConfig, jobId } = req.body || {};
+
+  if (!startUrl) {
+    return res.status(400).json({ error: 'startUrl is required' });
+  }
+
+  const requestJobId = jobId || `job-${Date.now()}`;
+  if (!isValidJobId(requestJobId)) {
+    return res.status(400).json({ error: 'Invalid jobId' });
+  }
+  if (typeof credentials?.storageState === 'string') {
+    return res.status(400).json({ error: 'credentials.storageState must be an object' });
+  }
+
+  return runJob(res, requestJobId, {
+    startUrl,
+    credentials,
+    crawlConfig
+  });
+});
+
+// Resume a crashed or cancelled crawl from its last checkpoint
+app.post('/api/jobs/:jobId/resume', async (req, res) => {
+  const { jobId } = req.params;
+  // Secrets are never checkpointed, so they come with the resume request
+  const { credentials, loginRecipe } = req.body || {};
+
+  if (!isValidJobId(jobId)) {
+    return res.status(400).json({ error: 'Invalid jobId' });
+  }
+  if (activeJobs.has(jobId)) {
+    return res.status(409).json({ error: 'Job is already running' });
+  }
+  if (typeof credentials?.storageState === 'string') {
+    return res.status(400).json({ error: 'credentials.storageState must be an object' });
+  }
+
+  let checkpoint;
   try {
-    const { startUrl, credentials, crawlConfig, jobId } = req.body || {};
+    checkpoint = await loadCheckpoint(getCheckpointPath(jobId));
+  } catch (error) {
+    return res.status(404).json({ error: 'Checkpoint not found', message: error.message });
+  }
 
-    if (!startUrl) {
-      return res.status(400).json({ error: 'startUrl is required' });
-    }
+  return runJob(res, jobId, {
+    startUrl: checkpoint.startUrl,
+    credentials,
+    crawlConfig: loginRecipe ? { ...checkpoint.crawlConfig, loginRecipe } : checkpoint.crawlConfig,
+    resumeFrom: checkpoint
+  });
+});
+
+// Download the storage state saved by a crawl run with exportSession.
+// Only local clients holding the job's session token (returned once as
+// `sessionToken` by the crawl request) get it.
+app.get('/api/jobs/:jobId/session', async (req, res) => {
+  const { jobId } = req.params;
+  if (!isValidJobId(jobId)) {
+    return res.status(400).json({ error: 'Invalid jobId' });
+  }
+  if (!isLoopback(req.socket.remoteAddress)) {
+    return res.status(403).json({ error: 'Sessions can only be downloaded from localhost' });
+  }
+  if (!isValidSessionToken(jobId, req.get('X-Session-Token'))) {
+    return res.status(403).json({ error: 'Invalid session token' });
+  }
+
+  try {
+    const data = await fs.readFile(getSessionPath(jobId), 'utf8');
+    res.set('Cache-Control', 'no-store');
+    return res.json(JSON.parse(data));
+  } catch (error) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+});
 
-    const controller = new AbortController();
-    const requestJobId = jobId || `job-${Date.now()}`;
-    activeJobs.set(requestJobId, controller);
-    activeLogs.set(requestJobId, { logs: [], done: false });
-
-    const log = (message) => {
-      const record = { ts: new Date().toISOString(), message };
-      const bucket = activeLogs.get(requestJobId);
-      if (bucket) {
-        bucket.logs.push(record);
-        if (bucket.logs.length > 200) {
-          bucket.logs.shift();
-        }
+async function runJob(res, jobId, params) {
+  const controller = new AbortController();
+  activeJobs.set(jobId, controller);
+  activeLogs.set(jobId, { logs: [], done: false });
+
+  const log = (message) => {
+    const record = { ts: new Date().toISOString(), message };
+    const bucket = activeLogs.get(jobId);
+    if (bucket) {
+      bucket.logs.push(record);
+      if (bucket.logs.length > 200) {
+        bucket.logs.shift();
       }
-      console.log(message);
-    };
+    }
+    console.log(message);
+  };
 
-    log(`Job ${requestJobId} started for ${startUrl}`);
+  try {
+    log(`Job ${jobId} ${params.resumeFrom ? 'resumed' : 'started'} for ${params.startUrl}`);
 
+    const exportSession = Boolean(params.crawlConfig?.exportSession);
+    const sessionToken = exportSession ? issueSessionToken(jobId) : null;
     const output = await crawlAndExtractFlows({
-      startUrl,
-      credentials,
-      crawlConfig,
+      ...params,
+      checkpointPath: getCheckpointPath(jobId),
+      exportSessionPath: exportSession ? getSessionPath(jobId) : null,
+      screenshotDir: path.join(screenshotDir, jobId),
+      screenshotBaseUrl: `/screenshots/${jobId}/`,
       onLog: log,
       abortSignal: controller.signal
     });
 
-    activeJobs.delete(requestJobId);
-    if (activeLogs.has(requestJobId)) {
-      activeLogs.get(requestJobId).done = true;
-    }
-    log(`Job ${requestJobId} completed`);
-    res.json(output);
+    log(`Job ${jobId} completed`);
+    res.json(sessionToken ? { ...output, sessionToken } : output);
   } catch (error) {
     if (error?.name === 'AbortError') {
       console.log('Crawl cancelled by user.');
-      if (jobId && activeLogs.has(jobId)) {
-        activeLogs.get(jobId).done = true;
-      }
       return res.status(409).json({
         error: 'Crawl cancelled',
-        message: 'Crawl cancelled by user'
+        message: 'Crawl cancelled by user',
+        jobId
       });
     }
 
     console.error('Error extracting flows:', error);
     res.status(500).json({
       error: 'Failed to extract user flows',
-      message: error.message
+      message: error.message,
+      jobId
     });
+  } finally {
+    activeJobs.delete(jobId);
+    if (activeLogs.has(jobId)) {
+      activeLogs.get(jobId).done = true;
+    }
   }
-});
+}
+
+// Job ids become checkpoint file names, so keep them path-safe
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && /^[A-Za-z0-9_-]{1,100}$/.test(jobId);
+}
+
+function isSessionRoute(requestPath) {
+  return /^\/api\/jobs\/[^/]+\/session\/?$/i.test(requestPath);
+}
+
+function isLoopback(address) {
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(address);
+}
+
+// A fresh token per run; only its hash is kept in memory
+function issueSessionToken(jobId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessionTokens.set(jobId, hashToken(token));
+  return token;
+}
+
+function isValidSessionToken(jobId, token) {
+  const expected = sessionTokens.get(jobId);
+  if (!expected || typeof token !== 'string' || !token) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(expected, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getCheckpointPath(jobId) {
+  return path.join(checkpointDir, `${jobId}.json`);
+}
+
+function getSessionPath(jobId) {
+  return path.join(sessionDir, `${jobId}.json`);
+}
 
 // Serve static files from the public directory
 app.use(express.static(path.join(projectRoot, 'public')));
 
+// Page screenshots captured by crawls run with crawlConfig.screenshots
+app.use('/screenshots', express.static(screenshotDir, { fallthrough: false }));
+
 // API endpoint to get raw data
 app.get('/api/data', async (req, res) => {
   try {
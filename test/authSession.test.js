@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  loadAuthSession,
+  getRequestHeaders,
+  storeSetCookies,
+  syncFromContext,
+  syncToContext
+} = require('../src/services/authSession');
+
+const START = 'https://app.example.com/';
+
+// Stands in for a Playwright BrowserContext's cookie API
+function createContext(cookies = []) {
+  let jar = cookies;
+  return {
+    addCookies: async added => {
+      jar = [...jar.filter(cookie => !added.some(next => next.name === cookie.name)), ...added];
+    },
+    storageState: async () => ({ cookies: jar, origins: [] }),
+    get cookies() {
+      return jar;
+    }
+  };
+}
+
+test('cookie paths match whole segments only', async () => {
+  const session = await loadAuthSession({ cookies: [{ name: 'sid', value: '1', path: '/app' }] }, START);
+
+  assert.strictEqual(getRequestHeaders(session, 'https://app.example.com/app').Cookie, 'sid=1');
+  assert.strictEqual(getRequestHeaders(session, 'https://app.example.com/app/settings').Cookie, 'sid=1');
+  assert.strictEqual(getRequestHeaders(session, 'https://app.example.com/application').Cookie, undefined);
+});
+
+test('Set-Cookie with a Domain that does not cover the host is rejected', async () => {
+  const session = await loadAuthSession(null, START);
+  storeSetCookies(session, START, [
+    'evil=1; Domain=other.com; Path=/',
+    'shared=1; Domain=example.com; Path=/',
+    'sibling=1; Domain=www.example.com; Path=/'
+  ]);
+
+  assert.deepStrictEqual(session.cookies.map(cookie => [cookie.name, cookie.domain]), [['shared', '.example.com']]);
+});
+
+test('cookies flow both ways between the HTTP jar and the browser', async () => {
+  const session = await loadAuthSession(null, START);
+  const context = createContext([{ name: 'browser', value: 'b', domain: 'app.example.com', path: '/', expires: -1 }]);
+
+  storeSetCookies(session, START, 'sid=refreshed; Path=/');
+  await syncToContext(session, context);
+  assert.deepStrictEqual(context.cookies.map(cookie => cookie.name).sort(), ['browser', 'sid']);
+
+  // A cookie refreshed over HTTP while the browser was busy survives the pull
+  storeSetCookies(session, START, 'sid=newer; Path=/');
+  await syncFromContext(session, context);
+  assert.strictEqual(getRequestHeaders(session, START).Cookie, 'browser=b; sid=newer');
+});
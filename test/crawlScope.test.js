@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUrlFilter, createHostScope } = require('../src/services/crawlScope');
+
+test('query globs match parameters by name in any position', () => {
+  const filter = createUrlFilter({ excludePatterns: ['?sort=', '?view=grid*'] });
+
+  assert.strictEqual(filter.allows('https://shop.example.com/list?sort=new'), false);
+  assert.strictEqual(filter.allows('https://shop.example.com/list?page=2&sort=new'), false);
+  assert.strictEqual(filter.allows('https://shop.example.com/list?view=grid-large'), false);
+  assert.strictEqual(filter.allows('https://shop.example.com/list?view=list&resort=1'), true);
+});
+
+test('regex rules ignore the g and y flags', () => {
+  const filter = createUrlFilter({ excludePatterns: [{ regex: '[?&]page=\\d+', flags: 'g' }, /\/tag\//y] });
+  const urls = ['/list?page=2', '/list?page=3', '/tag/a', '/tag/b'].map(path => `https://shop.example.com${path}`);
+
+  assert.deepStrictEqual(urls.map(url => filter.allows(url)), [false, false, false, false]);
+});
+
+test('include drops are reported once, exclude drops per rule', () => {
+  const filter = createUrlFilter({ includePatterns: ['/app/*', '/docs/*'], excludePatterns: ['/app/admin/*'] });
+  ['/app/home', '/app/admin/users', '/docs/intro', '/docs/setup', '/blog/news'].forEach(path => {
+    filter.allows(`https://example.com${path}`);
+  });
+
+  assert.deepStrictEqual(filter.getReport(), {
+    include: {
+      dropped: 1,
+      rules: [
+        { pattern: '/app/*', matched: 1 },
+        { pattern: '/docs/*', matched: 2 }
+      ]
+    },
+    exclude: [{ pattern: '/app/admin/*', dropped: 1 }]
+  });
+});
+
+test('domainScope widens from the exact host to the registrable domain', () => {
+  const hosts = ['shop.example.co.uk', 'www.shop.example.co.uk', 'blog.example.co.uk', 'example.co.uk', 'other.co.uk'];
+  const inScope = domainScope => {
+    const scope = createHostScope('https://shop.example.co.uk/', { domainScope });
+    return hosts.map(host => scope.inScope(host));
+  };
+
+  assert.deepStrictEqual(inScope('exact'), [true, false, false, false, false]);
+  assert.deepStrictEqual(inScope('host'), [true, true, false, false, false]);
+  assert.deepStrictEqual(inScope('domain'), [true, true, true, true, false]);
+  assert.throws(() => createHostScope('https://shop.example.co.uk/', { domainScope: 'site' }), /Invalid domainScope: site/);
+});
+
+test('allowedHosts add exact and wildcard hosts to any scope', () => {
+  const scope = createHostScope('https://www.example.com/', {
+    domainScope: 'exact',
+    allowedHosts: ['Help.Example.org', '*.cdn.example.net']
+  });
+
+  assert.strictEqual(scope.inScope('WWW.example.com'), true);
+  assert.strictEqual(scope.inScope('example.com'), false);
+  assert.strictEqual(scope.inScope('help.example.org'), true);
+  assert.strictEqual(scope.inScope('docs.example.org'), false);
+  assert.strictEqual(scope.inScope('cdn.example.net'), true);
+  assert.strictEqual(scope.inScope('eu.cdn.example.net'), true);
+  assert.strictEqual(scope.inScope('badcdn.example.net'), false);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { crawlWebsite } = require('../src/services/crawler');
+const { loadCheckpoint } = require('../src/services/crawlCheckpoint');
+const { getDocumentKind } = require('../src/services/resourceType');
+
+/**
+ * A home page linking to `/p1`..`/p<count>`, each answered after a short
+ * delay so the crawler has several fetches in flight. Tracks the highest
+ * number of requests served at once.
+ */
+function startSlowServer(count) {
+  const stats = { active: 0, maxActive: 0 };
+  const links = Array.from({ length: count }, (_, i) => `<a href="/p${i + 1}">Page ${i + 1}</a>`).join('');
+
+  const server = http.createServer((req, res) => {
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    setTimeout(() => {
+      stats.active--;
+      const body = req.url === '/' ? links : '';
+      res.writeHead(200, { 'content-type': 'text/html' });
+      res.end(`<html><head><title>${req.url}</title></head><body>${body}</body></html>`);
+    }, 50);
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, stats }));
+  });
+}
+
+function crawlLocal(server, config) {
+  return crawlWebsite(`http://127.0.0.1:${server.address().port}/`, {
+    maxDepth: 1,
+    maxPages: 20,
+    timeout: 5000,
+    delayMs: 0,
+    maxRetries: 0,
+    respectRobots: false,
+    onLog: () => {},
+    ...config
+  });
+}
+
+test('the worker pool never exceeds the per-host cap', async () => {
+  const { server, stats } = await startSlowServer(8);
+  try {
+    const pages = await crawlLocal(server, { concurrency: 4, perHostConcurrency: 2 });
+
+    assert.strictEqual(pages.length, 9);
+    assert.strictEqual(stats.maxActive, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('a per-host cap of one fetches pages one at a time', async () => {
+  const { server, stats } = await startSlowServer(4);
+  try {
+    const pages = await crawlLocal(server, { concurrency: 4, perHostConcurrency: 1 });
+
+    assert.strictEqual(pages.length, 5);
+    assert.strictEqual(stats.maxActive, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('a crawl resumes from a checkpoint written mid-crawl', async () => {
+  const { server } = await startSlowServer(5);
+  const requested = [];
+  const controller = new AbortController();
+  server.on('request', req => {
+    requested.push(req.url);
+    if (req.url === '/p3') controller.abort();
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+  const checkpointPath = path.join(dir, 'crawl.json');
+
+  try {
+    const config = { concurrency: 1, checkpointPath, checkpointEvery: 1 };
+    await assert.rejects(crawlLocal(server, { ...config, abortSignal: controller.signal }));
+
+    const checkpoint = await loadCheckpoint(checkpointPath);
+    assert.deepStrictEqual(checkpoint.pages.map(page => new URL(page.url).pathname), ['/', '/p1', '/p2']);
+    assert.ok(checkpoint.pages.every(page => page.html.includes('<title>')));
+    assert.strictEqual(new URL(checkpoint.queue[0].url).pathname, '/p3');
+
+    const pages = await crawlLocal(server, { ...config, resumeState: checkpoint });
+
+    assert.deepStrictEqual(pages.map(page => new URL(page.url).pathname), ['/', '/p1', '/p2', '/p3', '/p4', '/p5']);
+    // Only the page that was in flight when the crawl stopped is fetched twice
+    assert.deepStrictEqual(requested, ['/', '/p1', '/p2', '/p3', '/p3', '/p4', '/p5']);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('documents are recorded as leaf pages without downloading known binaries', async () => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url === '/report.pdf') {
+      res.writeHead(200, { 'content-type': 'application/pdf', 'content-length': '2048' });
+      return res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(2048));
+    }
+    if (req.url === '/export') {
+      res.writeHead(200, { 'content-type': 'application/zip' });
+      return res.end('PK');
+    }
+    res.writeHead(200, { 'content-type': 'text/html' });
+    return res.end('<html><head><title>Home</title></head><body><a href="/report.pdf">Report</a><a href="/export">Export</a></body></html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const pages = await crawlLocal(server, { concurrency: 1 });
+    const documents = pages.filter(page => page.resourceType === 'document');
+
+    assert.deepStrictEqual(documents.map(page => [new URL(page.url).pathname, page.title, page.document.kind]), [
+      ['/report.pdf', 'report.pdf', 'pdf'],
+      ['/export', 'export', 'archive']
+    ]);
+    assert.ok(documents.every(page => page.html === null && page.links.length === 0));
+    assert.strictEqual(documents[0].document.bytes, 2048);
+    assert.deepStrictEqual(requests, ['GET /', 'HEAD /report.pdf', 'GET /export']);
+  } finally {
+    server.close();
+  }
+});
+
+test('document kinds come from the extension, then the content type', () => {
+  assert.strictEqual(getDocumentKind('https://example.com/files/Q3.XLSX', 'application/octet-stream'), 'spreadsheet');
+  assert.strictEqual(getDocumentKind('https://example.com/download?id=7', 'application/pdf; charset=binary'), 'pdf');
+  assert.strictEqual(getDocumentKind('https://example.com/feed', 'application/rss+xml'), 'data');
+  assert.strictEqual(getDocumentKind('https://example.com/logo', 'image/png'), 'image');
+  assert.strictEqual(getDocumentKind('https://example.com/blob', 'application/octet-stream'), 'binary');
+});
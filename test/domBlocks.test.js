@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { createBlockLocator } = require('../src/services/domBlocks');
+
+function locateMenuLink(bodyClass) {
+  const $ = cheerio.load(`<html><body class="${bodyClass}"><div class="site template-${bodyClass}">
+    <header class="site-header"><nav class="primary"><a href="/">Home</a><a href="/blog">Blog</a></nav></header>
+    <main><p><a href="/post">Read</a></p></main>
+  </div></body></html>`);
+  return createBlockLocator($)($('nav a').get(0));
+}
+
+test('page-type classes on body and outer wrappers do not change block paths', () => {
+  const home = locateMenuLink('home page-template-default');
+  const post = locateMenuLink('single single-post');
+
+  assert.strictEqual(home, 'body>div>header.site-header>nav.primary');
+  assert.strictEqual(post, home);
+});
+
+test('without landmarks, wrapper classes above the block are ignored', () => {
+  const locate = template => {
+    const $ = cheerio.load(`<html><body class="${template}"><div class="template-${template}">
+      <div class="menu"><a href="/">Home</a><a href="/shop">Shop</a></div>
+      <p><a href="/post">Read</a></p>
+    </div></body></html>`);
+    return createBlockLocator($)($('.menu a').get(0));
+  };
+
+  assert.strictEqual(locate('home'), 'body>div>div.menu');
+  assert.strictEqual(locate('product'), locate('home'));
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFlowPatterns, matchFlowPattern } = require('../src/services/flowPatterns');
+
+function buildGraph(pages) {
+  return new Map(Object.entries(pages).map(([url, [pageType, targets]]) => [
+    url,
+    { page: { url, pageType }, edges: targets.map(target => ({ target })) }
+  ]));
+}
+
+const [pattern] = createFlowPatterns([
+  { id: 'trial', steps: ['home', 'pricing', 'signup'], maxGap: 2 }
+], { replaceDefaults: true });
+
+test('direct paths are matched before detours through gap pages', () => {
+  const graph = buildGraph({
+    '/': ['home', ['/pricing', '/blog']],
+    '/blog': ['content', ['/news']],
+    '/news': ['content', ['/pricing']],
+    '/pricing': ['pricing', ['/signup', '/faq']],
+    '/faq': ['support', ['/signup']],
+    '/signup': ['signup', []]
+  });
+
+  const paths = matchFlowPattern(graph, pattern, ['/']).map(path => path.join(' > '));
+
+  assert.strictEqual(paths[0], '/ > /pricing > /signup');
+  assert.deepStrictEqual(paths.map(path => path.split(' > ').length), [3, 4, 5, 6]);
+});
+
+test('every path is matched, one per page-type sequence only when asked', () => {
+  const graph = buildGraph({
+    '/': ['home', ['/pricing', '/plans']],
+    '/pricing': ['pricing', ['/signup']],
+    '/plans': ['pricing', ['/signup']],
+    '/signup': ['signup', []]
+  });
+  const [unique] = createFlowPatterns([
+    { id: 'trial', steps: ['home', 'pricing', 'signup'], uniquePageTypes: true }
+  ], { replaceDefaults: true });
+
+  assert.deepStrictEqual(matchFlowPattern(graph, pattern, ['/']), [['/', '/pricing', '/signup'], ['/', '/plans', '/signup']]);
+  assert.deepStrictEqual(matchFlowPattern(graph, unique, ['/']), [['/', '/pricing', '/signup']]);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyGlobalNavigation, summarizeNavigation } = require('../src/services/globalNavDetector');
+
+const U = path => `https://example.com${path}`;
+const HEADER = 'body>header>nav';
+const SIDEBAR = 'body>aside.sidebar';
+const RELATED = 'body>main>section.related';
+
+function page(path, blocks) {
+  const all = Object.entries(blocks).flatMap(([block, targets]) => targets.map(target => ({ href: U(target), text: target, block })));
+  return { url: U(path), pageType: 'content', links: { all, global: [], contextual: all } };
+}
+
+// A site header everywhere, a sidebar on every /docs page, and a
+// "related posts" box on every /blog page that never repeats its links
+function buildSite() {
+  const header = { [HEADER]: ['/', '/docs/a', '/blog/1'] };
+  const sidebar = { [SIDEBAR]: ['/docs/a', '/docs/b', '/docs/c'] };
+  return [
+    page('/', header),
+    page('/pricing', header),
+    ...['a', 'b', 'c', 'd'].map(slug => page(`/docs/${slug}`, { ...header, ...sidebar })),
+    ...[1, 2, 3].map(n => page(`/blog/${n}`, { ...header, [RELATED]: [`/blog/${n}/more`, `/blog/${n}/next`] }))
+  ];
+}
+
+function scopesOf(classified, path) {
+  const result = classified.find(p => p.url === U(path));
+  return {
+    global: Array.from(new Set(result.links.global.map(link => `${link.block}@${link.navScope}`))),
+    contextual: Array.from(new Set(result.links.contextual.map(link => link.block)))
+  };
+}
+
+test('a sidebar repeated only within one section is global there', () => {
+  const classified = classifyGlobalNavigation(buildSite());
+
+  assert.deepStrictEqual(scopesOf(classified, '/docs/b'), {
+    global: [`${HEADER}@site`, `${SIDEBAR}@example.com/docs`],
+    contextual: []
+  });
+  assert.deepStrictEqual(scopesOf(classified, '/blog/2'), { global: [`${HEADER}@site`], contextual: [RELATED] });
+  assert.deepStrictEqual(scopesOf(classified, '/pricing'), { global: [`${HEADER}@site`], contextual: [] });
+
+  const docsPage = classified.find(p => p.url === U('/docs/b'));
+  assert.strictEqual(docsPage.navSection, 'example.com/docs');
+  assert.deepStrictEqual(docsPage.templateBlocks, [HEADER, SIDEBAR]);
+  assert.strictEqual(classified.find(p => p.url === U('/')).navSection, null);
+});
+
+test('section detection can be turned off', () => {
+  const classified = classifyGlobalNavigation(buildSite(), { sectionMode: 'off' });
+
+  assert.deepStrictEqual(scopesOf(classified, '/docs/b'), { global: [`${HEADER}@site`], contextual: [SIDEBAR] });
+  assert.strictEqual(classified[0].navSection, null);
+});
+
+test('sections smaller than minPages are not scanned for blocks', () => {
+  const classified = classifyGlobalNavigation(buildSite(), { minPages: 5 });
+
+  assert.deepStrictEqual(scopesOf(classified, '/docs/b'), { global: [`${HEADER}@site`], contextual: [SIDEBAR] });
+});
+
+test('navigation is summarized per scope with each block\'s usual links', () => {
+  const summary = summarizeNavigation(classifyGlobalNavigation(buildSite()));
+
+  assert.deepStrictEqual(summary.site, [{
+    block: HEADER,
+    pageCount: 9,
+    links: [{ href: U('/'), text: '/' }, { href: U('/docs/a'), text: '/docs/a' }, { href: U('/blog/1'), text: '/blog/1' }]
+  }]);
+  assert.deepStrictEqual(summary.sections.map(section => [section.section, section.pageCount, section.blocks.map(b => b.block)]), [
+    ['example.com/docs', 4, [SIDEBAR]]
+  ]);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const { crawlWebsite } = require('../src/services/crawler');
+const { generateTotp, validateLoginRecipe } = require('../src/services/loginRecipe');
+
+const RECIPE = [
+  { action: 'goto', url: '/login' },
+  { action: 'fill', selector: '#email', value: '{{username}}' },
+  { action: 'fill', selector: '#password', value: '{{password}}' },
+  { action: 'click', selector: 'button[type="submit"]' },
+  { action: 'waitForSelector', selector: '#account' }
+];
+
+// ASCII "12345678901234567890", the RFC 6238 SHA-1 test key, in base32
+const RFC_6238_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('TOTP codes match the RFC 6238 SHA-1 test vectors', () => {
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+
+  vectors.forEach(([seconds, code]) => {
+    assert.strictEqual(generateTotp(RFC_6238_SECRET, { digits: 8, timestamp: seconds * 1000 }), code);
+  });
+  assert.strictEqual(generateTotp(RFC_6238_SECRET.toLowerCase(), { timestamp: 59000 }), '287082');
+  assert.throws(() => generateTotp('not base32!'), /not valid base32/);
+});
+
+test('invalid recipes are rejected before the crawl', () => {
+  assert.doesNotThrow(() => validateLoginRecipe(RECIPE));
+  assert.throws(() => validateLoginRecipe([]), /non-empty array/);
+  assert.throws(() => validateLoginRecipe({ action: 'goto', url: '/login' }), /non-empty array/);
+  assert.throws(() => validateLoginRecipe([RECIPE[0], { action: 'hover', selector: '#menu' }]), /step 2: unknown action "hover"/);
+  assert.throws(() => validateLoginRecipe([{ action: 'fill', selector: '#email' }]), /step 1 \(fill\): missing value/);
+  assert.throws(() => validateLoginRecipe([{ action: 'press', selector: '' }]), /missing selector, key/);
+  assert.throws(() => validateLoginRecipe([null]), /step 1: unknown action undefined/);
+});
+
+// The recipe needs a real browser; skip where Chromium isn't installed
+function hasChromium() {
+  try {
+    return fs.existsSync(require('playwright').chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A login form that sets a session cookie for one user and sends
+ * everyone else back to the form with an error.
+ */
+function startMockLoginServer() {
+  const send = (res, status, html, headers = {}) => {
+    res.writeHead(status, { 'content-type': 'text/html', ...headers });
+    res.end(html);
+  };
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const loggedIn = /(?:^|;\s*)sid=valid(?:;|$)/.test(req.headers.cookie || '');
+
+    if (pathname === '/login' && req.method === 'GET') {
+      return send(res, 200, `<html><head><title>Sign in</title></head><body>
+        <form method="post" action="/session">
+          <input id="email" name="email"><input id="password" name="password" type="password">
+          <button type="submit">Sign in</button>
+        </form></body></html>`);
+    }
+    if (pathname === '/session' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const fields = new URLSearchParams(body);
+        if (fields.get('email') === 'ada@example.com' && fields.get('password') === 'secret') {
+          send(res, 302, '', { location: '/account', 'set-cookie': 'sid=valid; Path=/; HttpOnly' });
+        } else {
+          send(res, 302, '', { location: '/login?error=1' });
+        }
+      });
+      return undefined;
+    }
+    if (pathname === '/account') {
+      return loggedIn
+        ? send(res, 200, '<html><head><title>Your account</title></head><body><h1 id="account">Hi Ada</h1></body></html>')
+        : send(res, 302, '', { location: '/login' });
+    }
+    return send(res, 404, '<html><head><title>Not found</title></head></html>');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function crawlAccount(server, credentials) {
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return crawlWebsite(`${baseUrl}/account`, {
+    maxDepth: 0,
+    maxPages: 1,
+    timeout: 5000,
+    delayMs: 0,
+    maxRetries: 0,
+    respectRobots: false,
+    loginUrl: `${baseUrl}/login`,
+    loginRecipe: RECIPE,
+    onLog: () => {}
+  }, credentials);
+}
+
+test('a login recipe signs in against the mock server', { skip: !hasChromium() && 'Chromium is not installed' }, async () => {
+  const server = await startMockLoginServer();
+  try {
+    const pages = await crawlAccount(server, { username: 'ada@example.com', password: 'secret' });
+
+    assert.deepStrictEqual(pages.map(page => page.title), ['Your account']);
+  } finally {
+    server.close();
+  }
+});
+
+test('a failed login stops the crawl at the failing recipe step', { skip: !hasChromium() && 'Chromium is not installed' }, async () => {
+  const server = await startMockLoginServer();
+  try {
+    await assert.rejects(
+      crawlAccount(server, { username: 'ada@example.com', password: 'wrong' }),
+      error => error.name === 'LoginRecipeError' && error.step === 5 && /\/login\?error=1/.test(error.message)
+    );
+  } finally {
+    server.close();
+  }
+});
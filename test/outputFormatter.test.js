@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatOutput, toTemplateOutput } = require('../src/services/outputFormatter');
+const { createUrlNormalizer } = require('../src/services/urlNormalizer');
+
+const U = path => `https://shop.example.com${path}`;
+
+function page(path, pageType, targets, templateId = null) {
+  const links = targets.map(target => ({ href: U(target), text: target, linkType: 'contextual' }));
+  return { url: U(path), pageType, title: path, depth: 1, metadata: {}, templateId, links: { all: links, contextual: links, global: [] } };
+}
+
+function goalFlow(rank, cost, paths) {
+  return { type: 'goal', name: `Path ${rank} to checkout`, goal: 'checkout', rank, cost, clicksToGoal: paths.length - 1, path: paths.map(U), confidence: 1 };
+}
+
+test('template output re-ranks merged goal flows and keeps their clicks', () => {
+  const pages = [
+    page('/', 'home', ['/p/1', '/p/2', '/cart']),
+    page('/p/1', 'product-detail', ['/p/2', '/cart'], 'product'),
+    page('/p/2', 'product-detail', ['/cart'], 'product'),
+    page('/cart', 'checkout', [])
+  ];
+  const flows = [
+    goalFlow(1, 1, ['/', '/cart']),
+    goalFlow(2, 2, ['/', '/p/1', '/cart']),
+    goalFlow(3, 2.5, ['/', '/p/2', '/cart']),
+    goalFlow(4, 3, ['/', '/p/1', '/p/2', '/cart'])
+  ];
+  const templates = [{ id: 'product', pageType: 'product-detail', instanceCount: 2, sampleUrls: [U('/p/1'), U('/p/2')] }];
+
+  const output = toTemplateOutput(formatOutput(flows, pages, U('/')), templates);
+
+  assert.deepStrictEqual(
+    output.flows.map(flow => [flow.rank, flow.cost, flow.clicksToGoal, flow.stepCount - 1]),
+    [[1, 1, 1, 1], [2, 2, 2, 2], [3, 3, 3, 3]]
+  );
+  assert.deepStrictEqual(output.goals[0].paths.map(path => path.rank), [1, 2, 3]);
+});
+
+test('hash-router routes on the same path get their own nodes', () => {
+  const pages = [
+    page('/', 'home', ['/#/pricing', '/#/login']),
+    page('/#/pricing', 'content', []),
+    page('/#/login', 'login', [])
+  ];
+  const flows = [
+    { type: 'navigation', name: 'Pricing', path: [U('/'), U('/#/pricing')], confidence: 1 },
+    { type: 'navigation', name: 'Login', path: [U('/'), U('/#/login')], confidence: 1 }
+  ];
+
+  const output = formatOutput(flows, pages, U('/'));
+
+  assert.deepStrictEqual(output.nodes.map(node => node.id), ['home', '#/pricing', '#/login']);
+  assert.deepStrictEqual(output.edges.map(edge => edge.id), ['home->#/pricing', 'home->#/login']);
+});
+
+test('node IDs use the crawl normalizer and its tracking params', () => {
+  const pages = [page('/', 'home', ['/pricing?ref=nav']), page('/pricing', 'content', [])];
+  const flows = [{ type: 'navigation', name: 'Pricing', path: [U('/'), U('/pricing?ref=nav')], confidence: 1 }];
+
+  const output = formatOutput(flows, pages, U('/'), {}, [], createUrlNormalizer({ trackingParams: ['ref'] }));
+
+  assert.deepStrictEqual(output.edges.map(edge => edge.id), ['home->pricing']);
+});
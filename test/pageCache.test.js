@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPageCache, getAuthIdentity } = require('../src/services/pageCache');
+
+test('cached pages are only served to crawls with the same auth identity', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-cache-'));
+  const url = 'https://example.com/account';
+  const ada = getAuthIdentity({ username: 'ada', password: 'secret' });
+
+  try {
+    await createPageCache(cacheDir, { identity: ada }).set(url, { etag: '"v1"', html: '<h1>Hi Ada</h1>' });
+
+    assert.strictEqual((await createPageCache(cacheDir, { identity: ada }).get(url)).html, '<h1>Hi Ada</h1>');
+    assert.strictEqual(await createPageCache(cacheDir).get(url), null);
+    assert.strictEqual(await createPageCache(cacheDir, { identity: getAuthIdentity({ username: 'bob' }) }).get(url), null);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('anonymous crawls have no auth identity, and passwords do not change it', () => {
+  assert.strictEqual(getAuthIdentity(undefined), null);
+  assert.strictEqual(getAuthIdentity({}), null);
+  assert.strictEqual(getAuthIdentity({ username: 'ada', password: 'a' }), getAuthIdentity({ username: 'ada', password: 'b' }));
+  assert.notStrictEqual(getAuthIdentity(null, [{ action: 'goto', url: '/login' }]), null);
+});
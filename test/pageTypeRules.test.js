@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { createPageTypeClassifier } = require('../src/services/pageTypeRules');
+const { analyzePage } = require('../src/services/pageAnalyzer');
+
+const LOGIN_FORM = '<form><input type="email"><input type="password"><button>Sign in</button></form>';
+
+function classify(classifier, path, title, body = '') {
+  const html = `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+  return classifier.classify({ url: `https://example.com${path}`, title }, cheerio.load(html));
+}
+
+test('the highest matching priority tier decides, whatever lower tiers match', () => {
+  const result = classify(createPageTypeClassifier(), '/login', 'Checkout', LOGIN_FORM);
+
+  assert.deepStrictEqual(result, {
+    pageType: 'login',
+    classification: {
+      ruleId: 'url-login', priority: 190, score: 2, signals: ['url'], matchedRules: ['url-login', 'url-login-localized']
+    }
+  });
+});
+
+test('custom rules outrank the defaults unless given a lower priority', () => {
+  const classifier = createPageTypeClassifier([
+    { id: 'account', pageType: 'account', url: '/login/account' },
+    { id: 'pricing', pageType: 'pricing', priority: 10, titleKeywords: 'Pricing' }
+  ]);
+
+  assert.deepStrictEqual(classify(classifier, '/login/account', 'Account').classification, {
+    ruleId: 'account', priority: 500, score: 1, signals: ['url'], matchedRules: ['account']
+  });
+  // Below every default tier, so it only applies when nothing else matches
+  assert.strictEqual(classify(classifier, '/pricing', 'Pricing').pageType, 'pricing');
+  assert.strictEqual(classify(classifier, '/contact', 'Pricing').pageType, 'contact');
+});
+
+test('within a tier, rule weights add up per page type', () => {
+  const classifier = createPageTypeClassifier([
+    { id: 'docs-url', pageType: 'docs', priority: 300, url: '/docs/' },
+    { id: 'docs-title', pageType: 'docs', priority: 300, titleKeywords: 'reference' },
+    { id: 'blog-text', pageType: 'blog', priority: 300, weight: 1.5, selectors: 'article', textKeywords: 'posted' }
+  ]);
+
+  const result = classify(classifier, '/docs/api', 'API reference', '<article>Posted today</article>');
+
+  assert.strictEqual(result.pageType, 'docs');
+  assert.deepStrictEqual(result.classification, {
+    ruleId: 'docs-url', priority: 300, score: 2, signals: ['url'], matchedRules: ['docs-url', 'docs-title', 'blog-text']
+  });
+  assert.deepStrictEqual(classify(classifier, '/docs/api', 'API', '<article>Posted today</article>').classification, {
+    ruleId: 'blog-text', priority: 300, score: 1.5, signals: ['selector', 'text'], matchedRules: ['docs-url', 'blog-text']
+  });
+});
+
+test('custom rules replace defaults by id, or all of them with replaceDefaults', () => {
+  const replaced = createPageTypeClassifier([{ id: 'url-login', pageType: 'login', priority: 190, url: '/auth' }]);
+  assert.deepStrictEqual(classify(replaced, '/login', 'Home').classification.matchedRules, ['url-login-localized']);
+  assert.deepStrictEqual(classify(replaced, '/auth', 'Home').classification.matchedRules, ['url-login']);
+
+  const only = createPageTypeClassifier([{ pageType: 'docs', url: '/docs' }], { replaceDefaults: true });
+  assert.deepStrictEqual(only.rules.map(rule => rule.id), ['docs-1']);
+  assert.deepStrictEqual(classify(only, '/login', 'Login', LOGIN_FORM), {
+    pageType: 'content',
+    classification: { ruleId: null, priority: null, score: 0, signals: [], matchedRules: [] }
+  });
+});
+
+test('invalid rules are rejected when the classifier is built', () => {
+  assert.throws(() => createPageTypeClassifier([{ url: '/a' }]), /rule 1: pageType is required/);
+  assert.throws(() => createPageTypeClassifier([{ id: 'x', pageType: 'x' }]), /rule x: at least one condition/);
+  assert.throws(() => createPageTypeClassifier([{ id: 'x', pageType: 'x', detector: 'cartIcon' }]), /unknown detector "cartIcon"/);
+  assert.throws(() => createPageTypeClassifier([{ id: 'x', pageType: 'x', url: '(' }]), /rule x: invalid url pattern/);
+});
+
+test('analyzed pages carry the classification next to the page type', () => {
+  const page = {
+    url: 'https://example.com/account',
+    title: 'Your account',
+    html: `<html><head><title>Your account</title></head><body>${LOGIN_FORM}</body></html>`,
+    links: [],
+    depth: 1
+  };
+
+  const analyzed = analyzePage(page);
+
+  assert.strictEqual(analyzed.pageType, 'login');
+  assert.deepStrictEqual(analyzed.classification, {
+    ruleId: 'content-login', priority: 50, score: 1, signals: ['detector:loginForm'], matchedRules: ['content-login']
+  });
+});
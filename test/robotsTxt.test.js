@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRobots, isAllowedByRobots } = require('../src/services/robotsTxt');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; FlowMapperBot/1.0)';
+const allows = (content, path) => isAllowedByRobots(parseRobots(content), `https://example.com${path}`, USER_AGENT);
+
+test('groups for other crawlers sharing part of our token are ignored', () => {
+  const content = 'User-agent: bot\nDisallow: /\n\nUser-agent: Mapper\nDisallow: /\n\nUser-agent: *\nDisallow: /private';
+
+  assert.strictEqual(allows(content, '/pricing'), true);
+  assert.strictEqual(allows(content, '/private/x'), false);
+});
+
+test('our token matches case-insensitively, exactly or by prefix', () => {
+  assert.strictEqual(allows('User-agent: flowmapperbot\nDisallow: /app', '/app/x'), false);
+  assert.strictEqual(allows('User-agent: FlowMapper\nDisallow: /app\n\nUser-agent: *\nDisallow: /', '/pricing'), true);
+  assert.strictEqual(allows('User-agent: FlowMapperBot/1.0\nDisallow: /app', '/app/x'), false);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScreenshotter } = require('../src/services/screenshotter');
+
+/**
+ * Stands in for a Playwright page: screenshots write a placeholder file,
+ * and thumbnail scratch pages record the markup they were given.
+ */
+function createFakePage() {
+  const calls = { screenshots: [], thumbnails: [], closed: 0 };
+  const shoot = options => {
+    calls.screenshots.push(options);
+    fs.writeFileSync(options.path, 'png');
+    return Promise.resolve(Buffer.from('png'));
+  };
+  const context = {
+    async newPage() {
+      let html = '';
+      return {
+        async setContent(content) { html = content; },
+        locator: () => ({
+          screenshot(options) {
+            calls.thumbnails.push({ html, ...options });
+            return shoot(options);
+          }
+        }),
+        async close() { calls.closed++; }
+      };
+    }
+  };
+  return { page: { screenshot: shoot, context: () => context }, calls };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('each page gets full-page, viewport and thumbnail files named by URL hash', async t => {
+  const dir = tempDir(t);
+  const { page, calls } = createFakePage();
+
+  const refs = await createScreenshotter(dir, { thumbnailWidth: 200 }).capture(page, 'https://example.com/pricing');
+
+  const name = path.basename(refs.viewport).replace('-viewport.png', '');
+  assert.match(name, /^[0-9a-f]{16}$/);
+  assert.deepStrictEqual(refs, {
+    fullPage: path.join(dir, `${name}-full.png`),
+    viewport: path.join(dir, `${name}-viewport.png`),
+    thumbnail: path.join(dir, `${name}-thumb.jpg`)
+  });
+  assert.ok(Object.values(refs).every(file => fs.existsSync(file)));
+  assert.deepStrictEqual(calls.screenshots.map(call => call.fullPage || false), [false, true, false]);
+  assert.deepStrictEqual([calls.thumbnails[0].type, calls.thumbnails[0].quality], ['jpeg', 70]);
+  assert.match(calls.thumbnails[0].html, /width:200px/);
+  assert.strictEqual(calls.closed, 1);
+
+  const again = await createScreenshotter(dir).capture(createFakePage().page, 'https://example.com/pricing');
+  assert.deepStrictEqual(again, refs);
+});
+
+test('references use the base URL and skip the full page when disabled', async t => {
+  const dir = tempDir(t);
+  const { page, calls } = createFakePage();
+
+  const refs = await createScreenshotter(dir, { baseUrl: '/shots/', fullPage: false }).capture(page, 'https://example.com/');
+
+  assert.strictEqual(refs.fullPage, null);
+  assert.match(refs.viewport, /^\/shots\/[0-9a-f]{16}-viewport\.png$/);
+  assert.match(refs.thumbnail, /^\/shots\/[0-9a-f]{16}-thumb\.jpg$/);
+  assert.strictEqual(calls.screenshots.length, 2);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort().map(file => file.slice(17)), ['thumb.jpg', 'viewport.png']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const { discoverSitemapUrls } = require('../src/services/sitemapSeeder');
+
+function startServer(routes) {
+  const server = http.createServer((req, res) => {
+    const body = routes[req.url];
+    if (!body) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/octet-stream' });
+    res.end(body);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('gzipped sitemaps are capped at maxBytes after decompression', async () => {
+  const urlset = '<urlset><url><loc>https://example.com/a</loc></url></urlset>';
+  // 8 MB of whitespace compresses to a few kilobytes
+  const bomb = zlib.gzipSync(Buffer.concat([Buffer.from('<urlset>'), Buffer.alloc(8 * 1024 * 1024, ' ')]));
+  const server = await startServer({
+    '/small.xml.gz': zlib.gzipSync(urlset),
+    '/bomb.xml.gz': bomb
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const failures = [];
+
+  try {
+    const entries = await discoverSitemapUrls(`${base}/`, {
+      robotsSitemaps: [`${base}/bomb.xml.gz`, `${base}/small.xml.gz`],
+      timeout: 5000,
+      userAgent: 'test',
+      maxBytes: 1024 * 1024,
+      onFailure: (url, error) => failures.push([url, error.message]),
+      onLog: () => {}
+    });
+
+    assert.deepStrictEqual(entries.map(entry => entry.url), ['https://example.com/a']);
+    assert.deepStrictEqual(failures, [[`${base}/bomb.xml.gz`, `Sitemap exceeds 1048576 bytes: ${base}/bomb.xml.gz`]]);
+  } finally {
+    server.close();
+  }
+});
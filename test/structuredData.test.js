@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { extractStructuredData } = require('../src/services/structuredData');
+const { createPageTypeClassifier } = require('../src/services/pageTypeRules');
+
+function load(...blocks) {
+  const scripts = blocks.map(block => `<script type="application/ld+json">${JSON.stringify(block)}</script>`).join('');
+  return cheerio.load(`<html><head>${scripts}</head><body></body></html>`);
+}
+
+function mainTypeOf(...blocks) {
+  return extractStructuredData(load(...blocks), 'https://example.com/').mainType;
+}
+
+test('an ItemList is the main type only when it lists products or offers', () => {
+  const listOf = items => ({ '@context': 'https://schema.org', '@type': 'ItemList', itemListElement: items });
+
+  assert.strictEqual(mainTypeOf(listOf([
+    { '@type': 'ListItem', position: 1, item: { '@type': 'Product', name: 'Blue shoe' } }
+  ])), 'ItemList');
+  assert.strictEqual(mainTypeOf({ '@type': 'OfferCatalog', itemListElement: [{ '@type': 'Offer', price: '9' }] }), 'ItemList');
+
+  assert.strictEqual(mainTypeOf(listOf([
+    { '@type': 'ListItem', position: 1, item: { '@type': 'BlogPosting', headline: 'Hello' } }
+  ])), null);
+  assert.strictEqual(mainTypeOf(listOf([
+    { '@type': 'ListItem', position: 1, url: 'https://example.com/a' }
+  ])), null);
+});
+
+test('a login page embedding an ItemList stays a login page', () => {
+  const $ = load({ '@type': 'ItemList', itemListElement: [{ '@type': 'ListItem', position: 1, url: 'https://example.com/help' }] });
+  const page = { url: 'https://example.com/login', title: 'Welcome', structuredData: extractStructuredData($, 'https://example.com/login') };
+
+  const { pageType, classification } = createPageTypeClassifier().classify(page, $);
+
+  assert.strictEqual(pageType, 'login');
+  assert.strictEqual(classification.ruleId, 'url-login');
+});
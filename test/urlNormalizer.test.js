@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeUrl, createUrlNormalizer } = require('../src/services/urlNormalizer');
+
+test('hash-router routes stay part of the normalized URL', () => {
+  assert.strictEqual(normalizeUrl('https://app.example.com/#/products/'), 'https://app.example.com/#/products');
+  assert.strictEqual(normalizeUrl('https://app.example.com/#!/cart'), 'https://app.example.com/#!/cart');
+
+  const { visitKey } = createUrlNormalizer();
+  assert.notStrictEqual(visitKey('https://app.example.com/#/products'), visitKey('https://app.example.com/#/cart'));
+});
+
+test('plain anchors and empty routes are dropped', () => {
+  assert.strictEqual(normalizeUrl('https://example.com/docs/#install'), 'https://example.com/docs');
+  assert.strictEqual(normalizeUrl('https://example.com/#/'), 'https://example.com/');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { clusterUrlTemplates, computeDomSignature } = require('../src/services/urlTemplates');
+
+const BASE = 'https://example.com';
+
+// A site layout without <main>: a large shared header, nav and footer
+function renderPage(content) {
+  const menu = Array.from({ length: 30 }, (_, i) => `<li class="menu-item"><a class="menu-link" href="/s${i}">Section</a><span class="badge">new</span></li>`).join('');
+  return `<html><body>
+    <header class="site-header"><div class="brand"><img class="logo"></div><nav class="primary"><ul class="menu">${menu}</ul></nav></header>
+    ${content}
+    <footer class="site-footer"><div class="cols"><ul class="links">${menu}</ul></div><p class="legal">©</p></footer>
+  </body></html>`;
+}
+
+function page(path, pageType, content) {
+  const $ = cheerio.load(renderPage(content));
+  return { url: `${BASE}${path}`, pageType, domSignature: computeDomSignature($) };
+}
+
+test('distinct top-level pages sharing a layout keep their own templates', () => {
+  const pages = [
+    page('/about', 'about', '<section class="team"><h2>Team</h2><div class="person"><img><p>Bio</p></div></section>'),
+    page('/pricing', 'content', '<section class="plans"><div class="plan"><h3>Pro</h3><ul class="features"><li>A</li></ul><a class="btn">Buy</a></div></section>'),
+    page('/contact', 'contact', '<form class="contact"><input name="email"><textarea></textarea><button>Send</button></form>'),
+    page('/login', 'login', '<form class="login"><input name="user"><input type="password"><button>Log in</button></form>')
+  ];
+
+  const { templates } = clusterUrlTemplates(pages, { startUrl: `${BASE}/` });
+
+  assert.deepStrictEqual(
+    templates.map(template => template.pattern).sort(),
+    ['/about', '/contact', '/login', '/pricing']
+  );
+});
+
+test('top-level pages with the same page type and structure share a template', () => {
+  const product = name => `<div class="product"><h1>${name}</h1><span class="price">9</span><button class="add">Add</button></div>`;
+  const pages = ['blue-shoe', 'red-hat', 'green-sock'].map(slug => page(`/${slug}`, 'product-detail', product(slug)));
+
+  const { templates } = clusterUrlTemplates(pages, { startUrl: `${BASE}/` });
+
+  assert.strictEqual(templates.length, 1);
+  assert.strictEqual(templates[0].pattern, '/:slug');
+  assert.strictEqual(templates[0].instanceCount, 3);
+});
+
+test('nested pages with a similar structure collapse into one template', () => {
+  const product = name => `<div class="product"><h1>${name}</h1><span class="price">9</span></div>`;
+  const pages = ['blue-shoe', 'red-hat', 'green-sock'].map(slug => page(`/products/${slug}`, 'content', product(slug)));
+
+  const { pages: clustered } = clusterUrlTemplates(pages, { startUrl: `${BASE}/` });
+
+  assert.ok(clustered.every(entry => entry.templateId === 'products/:slug'));
+});
+
+test('layout chrome does not contribute to the DOM signature', () => {
+  const $ = cheerio.load(renderPage('<p class="intro">Hi</p>'));
+  const signature = computeDomSignature($);
+
+  assert.deepStrictEqual(signature, ['body>p.intro']);
+});
+
+test('hash-router routes on the same path are separate templates', () => {
+  const pages = ['/#/pricing', '/#/login', '/#/about'].map(path => page(path, 'content', '<section class="view"><h2>View</h2></section>'));
+
+  const { templates } = clusterUrlTemplates(pages, { startUrl: `${BASE}/` });
+
+  assert.deepStrictEqual(templates.map(template => [template.id, template.instanceCount]), [['#/pricing', 1], ['#/login', 1], ['#/about', 1]]);
+});